@@ -0,0 +1,178 @@
+import { LightningElement, api, track } from 'lwc';
+import { NavigationMixin } from 'lightning/navigation';
+import getRecentAlerts from '@salesforce/apex/PlatformEventAlerts.getRecentAlerts';
+import acknowledgeAlerts from '@salesforce/apex/PlatformEventAlerts.acknowledgeAlerts';
+
+/**
+ * alertFeed
+ *
+ * Alerts panel of the Platform Event Monitor:
+ *   - alerts raised by the live stream in this session (evaluated by the
+ *     monitor through c/alertRules)
+ *   - the persistent feed of Event_Alert__c records raised server-side
+ *     against captured logs, with acknowledge actions and links to the
+ *     rule and the matching log
+ *
+ * Custom events fired:
+ *   - 'close'     : {}
+ *   - 'clearlive' : {}
+ */
+
+const FEED_LIMIT = 50;
+
+const SEVERITY_CLASS = {
+    Critical : 'af-severity af-severity-critical',
+    Warning  : 'af-severity af-severity-warning',
+    Info     : 'af-severity af-severity-info'
+};
+
+export default class AlertFeed extends NavigationMixin(LightningElement) {
+
+    // ── Public API ────────────────────────────────────────────────────────────
+
+    // Array of alerts from c/alertRules, newest first
+    @api liveAlerts = [];
+
+    // Reloads the persistent feed, e.g. after the monitor flushed logs
+    @api
+    refresh() {
+        this._loadAlerts();
+    }
+
+    // ── State ─────────────────────────────────────────────────────────────────
+
+    @track _alerts          = [];
+    @track showAcknowledged = false;
+    @track isLoading        = false;
+    @track isAcknowledging  = false;
+    @track _error           = null;
+
+    _requestSeq = 0;
+
+    // ── Lifecycle ─────────────────────────────────────────────────────────────
+
+    connectedCallback() {
+        this._loadAlerts();
+    }
+
+    // ── Computed ──────────────────────────────────────────────────────────────
+
+    get liveRows() {
+        return (this.liveAlerts || []).map(a => ({
+            ...a,
+            severityClass : SEVERITY_CLASS[a.severity] || SEVERITY_CLASS.Warning,
+            timeLabel     : new Date(a.at).toLocaleTimeString()
+        }));
+    }
+
+    get hasLive() { return this.liveRows.length > 0; }
+
+    get rows() {
+        return this._alerts.map(a => ({
+            id            : a.Id,
+            name          : a.Name,
+            ruleId        : a.Alert_Rule__c,
+            ruleName      : a.Alert_Rule__r ? a.Alert_Rule__r.Name : '(deleted rule)',
+            channel       : a.Channel__c,
+            ruleType      : a.Rule_Type__c,
+            severity      : a.Severity__c,
+            severityClass : SEVERITY_CLASS[a.Severity__c] || SEVERITY_CLASS.Warning,
+            message       : a.Message__c,
+            logId         : a.Event_Log__c,
+            logName       : a.Event_Log__r ? a.Event_Log__r.Name : null,
+            acknowledged  : a.Acknowledged__c,
+            rowClass      : a.Acknowledged__c ? 'af-row af-row-acknowledged' : 'af-row',
+            timeLabel     : new Date(a.CreatedDate).toLocaleString()
+        }));
+    }
+
+    get hasRows() { return this._alerts.length > 0; }
+
+    get showEmpty() { return !this.hasRows && !this.isLoading && !this._error; }
+
+    get openIds() {
+        return this._alerts.filter(a => !a.Acknowledged__c).map(a => a.Id);
+    }
+
+    get acknowledgeAllDisabled() {
+        return this.isAcknowledging || this.openIds.length === 0;
+    }
+
+    get hasError()     { return !!this._error; }
+    get errorMessage() { return this._error; }
+
+    // ── Handlers ──────────────────────────────────────────────────────────────
+
+    handleToggleAcknowledged(event) {
+        this.showAcknowledged = event.target.checked;
+        this._loadAlerts();
+    }
+
+    handleRefresh() {
+        this._loadAlerts();
+    }
+
+    handleAcknowledge(event) {
+        this._acknowledge([event.currentTarget.dataset.id]);
+    }
+
+    handleAcknowledgeAll() {
+        this._acknowledge(this.openIds);
+    }
+
+    handleOpenRecord(event) {
+        const recordId = event.currentTarget.dataset.recordId;
+        if (!recordId) return;
+        this[NavigationMixin.Navigate]({
+            type: 'standard__recordPage',
+            attributes: { recordId, actionName: 'view' }
+        });
+    }
+
+    handleClearLive() {
+        this.dispatchEvent(new CustomEvent('clearlive'));
+    }
+
+    handleClose() {
+        this.dispatchEvent(new CustomEvent('close'));
+    }
+
+    // ── Private helpers ───────────────────────────────────────────────────────
+
+    async _loadAlerts() {
+        // Only the latest request may update the feed
+        const seq = ++this._requestSeq;
+        this.isLoading = true;
+        this._error = null;
+        try {
+            const result = await getRecentAlerts({
+                recordLimit         : FEED_LIMIT,
+                includeAcknowledged : this.showAcknowledged
+            });
+            if (seq === this._requestSeq) {
+                this._alerts = result || [];
+            }
+        } catch (err) {
+            if (seq === this._requestSeq) {
+                this._error = err?.body?.message || 'Failed to load alerts.';
+            }
+        } finally {
+            if (seq === this._requestSeq) {
+                this.isLoading = false;
+            }
+        }
+    }
+
+    async _acknowledge(alertIds) {
+        if (!alertIds.length) return;
+        this.isAcknowledging = true;
+        try {
+            await acknowledgeAlerts({ alertIds });
+            await this._loadAlerts();
+        } catch (err) {
+            this._error = err?.body?.message || 'Failed to acknowledge alerts.';
+        } finally {
+            this.isAcknowledging = false;
+        }
+    }
+}
@@ -0,0 +1,182 @@
+/**
+ * alertRules
+ *
+ * Service module (no template) that evaluates alert rules
+ * (PlatformEventAlerts.getAlertRules) against the monitor's live stream.
+ *
+ *   - Pattern   → an event matches the rule's condition; with newValueField
+ *                 set, only the first match for each value of that field
+ *   - Threshold → more than `threshold` matching events within the last
+ *                 `windowMinutes`
+ *   - Absence   → no matching event for `windowMinutes` while the channel
+ *                 is subscribed
+ *
+ * Threshold and Absence rules fire at most once per window. Conditions use
+ * the live filter grammar (c/eventFilter), which accepts the capture-rule
+ * syntax the server evaluates; rules whose condition does not compile are
+ * left out. Rules are validated against the server syntax when saved; one
+ * saved earlier that the server cannot parse carries a serverError.
+ *
+ * Live alerts are raised for this session only. Persistent alerts come from
+ * the server-side evaluation of captured logs.
+ *
+ * State only holds plain objects and arrays so it can be kept on a component
+ * without Map/Set proxies.
+ */
+import { compileFilter, resolvePath } from 'c/eventFilter';
+
+export const TYPE_THRESHOLD = 'Threshold';
+export const TYPE_ABSENCE   = 'Absence';
+export const TYPE_PATTERN   = 'Pattern';
+
+const MINUTE_MS = 60 * 1000;
+
+let alertSeq = 0;
+
+function windowMinutes(rule) {
+    return Math.max(1, rule.windowMinutes || 5);
+}
+
+function windowMs(rule) {
+    return windowMinutes(rule) * MINUTE_MS;
+}
+
+function asText(value) {
+    if (value === null || value === undefined) return null;
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function newAlert(entry, message, count, now) {
+    const { rule } = entry;
+    entry.lastFired = now;
+    alertSeq++;
+    return {
+        id       : `${rule.id}-${now}-${alertSeq}`,
+        ruleId   : rule.id,
+        ruleName : rule.name,
+        ruleType : rule.ruleType,
+        severity : rule.severity || 'Warning',
+        channel  : rule.channel,
+        message,
+        count,
+        at       : now
+    };
+}
+
+function cooledDown(entry, now) {
+    return entry.lastFired === null || now - entry.lastFired >= windowMs(entry.rule);
+}
+
+function matchPattern(entry, payload, now) {
+    const { rule } = entry;
+    const base = `Event matched ${rule.condition || 'rule'}`;
+    if (!rule.newValueField) return newAlert(entry, base, 1, now);
+
+    const value = asText(resolvePath(payload, rule.newValueField.trim()));
+    if (value === null || entry.seen[value]) return null;
+    entry.seen[value] = true;
+    return newAlert(entry, `New ${rule.newValueField} ${value}: ${base}`, 1, now);
+}
+
+function checkThreshold(entry, now) {
+    const { rule } = entry;
+    const windowStart = now - windowMs(rule);
+    entry.hits = entry.hits.filter(at => at > windowStart);
+    entry.hits.push(now);
+    const threshold = rule.threshold || 0;
+    if (entry.hits.length <= threshold || !cooledDown(entry, now)) return null;
+    return newAlert(entry,
+        `${entry.hits.length} events in the last ${windowMinutes(rule)} minute(s) (threshold ${threshold})`,
+        entry.hits.length, now);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Public API
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Compiles rules for live evaluation. Returns `{ compiled, invalid }` where
+ * `invalid` lists the names of rules whose condition does not compile.
+ */
+export function compileRules(rules) {
+    const compiled = [];
+    const invalid = [];
+    (rules || []).forEach(rule => {
+        let predicate;
+        try {
+            predicate = compileFilter(rule.condition);
+        } catch (e) {
+            invalid.push(rule.name);
+            return;
+        }
+        compiled.push({
+            rule,
+            predicate,
+            hits          : [],    // Threshold: match times within the window
+            seen          : {},    // Pattern: values already alerted on
+            watchingSince : null,  // Absence: subscribed since
+            lastSeen      : null,  // Absence: last matching event
+            lastFired     : null
+        });
+    });
+    return { compiled, invalid };
+}
+
+/**
+ * Evaluates Pattern and Threshold rules for one received event and records
+ * it for Absence rules. Returns the alerts raised (possibly empty).
+ */
+export function evaluateEvent(compiled, channel, payload, now = Date.now()) {
+    const alerts = [];
+    compiled.forEach(entry => {
+        if (entry.rule.channel !== channel) return;
+        if (entry.predicate && !entry.predicate(payload || {})) return;
+
+        let alert = null;
+        switch (entry.rule.ruleType) {
+            case TYPE_PATTERN:   alert = matchPattern(entry, payload || {}, now); break;
+            case TYPE_THRESHOLD: alert = checkThreshold(entry, now); break;
+            case TYPE_ABSENCE:   entry.lastSeen = now; break;
+            default:             break;
+        }
+        if (alert) alerts.push(alert);
+    });
+    return alerts;
+}
+
+/**
+ * Starts or stops the Absence clock for a channel, on subscribe and
+ * unsubscribe.
+ */
+export function watchChannel(compiled, channel, now = Date.now()) {
+    compiled.forEach(entry => {
+        if (entry.rule.channel === channel && entry.watchingSince === null) {
+            entry.watchingSince = now;
+        }
+    });
+}
+
+export function unwatchChannel(compiled, channel) {
+    compiled.forEach(entry => {
+        if (entry.rule.channel === channel) {
+            entry.watchingSince = null;
+            entry.lastSeen = null;
+        }
+    });
+}
+
+/**
+ * Checks Absence rules on watched channels. Returns the alerts raised.
+ */
+export function evaluateAbsence(compiled, now = Date.now()) {
+    const alerts = [];
+    compiled.forEach(entry => {
+        const { rule } = entry;
+        if (rule.ruleType !== TYPE_ABSENCE || entry.watchingSince === null) return;
+        const quietSince = Math.max(entry.watchingSince, entry.lastSeen || 0, entry.lastFired || 0);
+        if (now - quietSince >= windowMs(rule)) {
+            alerts.push(newAlert(entry, `No events in the last ${windowMinutes(rule)} minute(s)`, 0, now));
+        }
+    });
+    return alerts;
+}
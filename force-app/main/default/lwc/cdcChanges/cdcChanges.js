@@ -0,0 +1,94 @@
+import { LightningElement, api, wire } from 'lwc';
+import getEventFields from '@salesforce/apex/PlatformEventService.getEventFields';
+import { describeChange, changeEventApiName, parseChangeEvent, FIELD_STATUS } from 'c/cdcPayload';
+
+const STATUS_LABEL = {
+    [FIELD_STATUS.CHANGED]   : 'Changed',
+    [FIELD_STATUS.NULLED]    : 'Nulled',
+    [FIELD_STATUS.DIFF]      : 'Diff',
+    [FIELD_STATUS.UNCHANGED] : 'Unchanged'
+};
+
+/**
+ * cdcChanges
+ *
+ * CDC-aware view of one Change Data Capture payload: the change header
+ * (change type, entity, record IDs) and the payload's fields by label,
+ * with compound fields split into their components and each field marked
+ * changed, nulled or diff (a long text diff rather than the full value).
+ * Labels come from the change event's describe; fields it does not list
+ * keep their API name.
+ */
+export default class CdcChanges extends LightningElement {
+
+    // ── Public API ────────────────────────────────────────────────────────────
+
+    // CDC payload, as an object or a JSON string
+    @api
+    get payload() { return this._payload; }
+    set payload(value) {
+        this._payload = value;
+        this._eventApiName = changeEventApiName(parseChangeEvent(value).header.entityName);
+        this._describe();
+    }
+
+    // Avro field names in schema order, used to expand field bitmaps
+    @api
+    get schemaFieldNames() { return this._schemaFieldNames; }
+    set schemaFieldNames(value) {
+        this._schemaFieldNames = value;
+        this._describe();
+    }
+
+    // ── State ─────────────────────────────────────────────────────────────────
+
+    change = describeChange(null);
+    _payload;
+    _schemaFieldNames;
+    _eventApiName = null;
+    _labels = {};
+
+    @wire(getEventFields, { eventApiName: '$_eventApiName' })
+    wiredFields({ data }) {
+        const labels = {};
+        (data || []).forEach(f => { labels[f.name] = f.label; });
+        this._labels = labels;
+        this._describe();
+    }
+
+    // ── Computed ──────────────────────────────────────────────────────────────
+
+    get rows() {
+        return this.change.rows.map(r => ({
+            ...r,
+            statusLabel : STATUS_LABEL[r.status],
+            statusClass : `cc-status cc-status-${r.status}`,
+            rowClass    : r.status === FIELD_STATUS.UNCHANGED ? 'cc-row cc-row-unchanged' : 'cc-row',
+            showPath    : r.label !== r.path
+        }));
+    }
+
+    get hasRows()       { return this.change.rows.length > 0; }
+    get recordIdsText() { return this.change.recordIds.join(', '); }
+
+    get summary() {
+        const { changed, nulled, diff } = this.change.counts;
+        return `${changed} changed · ${nulled} nulled · ${diff} diff`;
+    }
+
+    get nulledText() {
+        return this.change.rows
+            .filter(r => r.status === FIELD_STATUS.NULLED)
+            .map(r => r.label)
+            .join(', ');
+    }
+
+    // ── Private helpers ───────────────────────────────────────────────────────
+
+    _describe() {
+        this.change = describeChange(this._payload, {
+            labels           : this._labels,
+            schemaFieldNames : this._schemaFieldNames
+        });
+    }
+}
@@ -0,0 +1,276 @@
+/**
+ * cdcPayload
+ *
+ * Service module (no template) for Change Data Capture payloads as
+ * delivered by the EMP API: splits the ChangeEventHeader from the field
+ * values and replays a record's change events into its field state.
+ *
+ * Field values are flattened to dot paths, so compound fields appear as
+ * their components (Name.FirstName, BillingAddress.City).
+ *
+ * describeChange turns one payload into labelled field rows (changed,
+ * nulled, diff) for display; labels come from the change event's describe
+ * (PlatformEventService.getEventFields).
+ */
+
+export const GAP_PREFIX    = 'GAP_';
+export const GAP_OVERFLOW  = 'GAP_OVERFLOW';
+
+export const FIELD_STATUS = Object.freeze({
+    CHANGED   : 'changed',
+    NULLED    : 'nulled',
+    DIFF      : 'diff',
+    UNCHANGED : 'unchanged'
+});
+
+const HEADER_KEY = 'ChangeEventHeader';
+
+function parse(payload) {
+    if (!payload) return {};
+    if (typeof payload === 'object') return payload;
+    try { return JSON.parse(payload); } catch (_) { return {}; }
+}
+
+function flatten(obj, prefix, out) {
+    Object.keys(obj).forEach(key => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        const value = obj[key];
+        if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+            flatten(value, path, out);
+        } else {
+            out[path] = value;
+        }
+    });
+    return out;
+}
+
+/**
+ * Splits a CDC payload (JSON string or object) into
+ * { header, fields, changedFields, nulledFields, diffFields }.
+ * `fields` holds the flattened field values present in the payload.
+ */
+export function parseChangeEvent(payload) {
+    const root = parse(payload);
+    const header = root[HEADER_KEY] || {};
+    const body = { ...root };
+    delete body[HEADER_KEY];
+    return {
+        header,
+        fields        : flatten(body, '', {}),
+        changedFields : header.changedFields || [],
+        nulledFields  : header.nulledFields  || [],
+        diffFields    : header.diffFields    || []
+    };
+}
+
+// Whether a field path is named in a header field list, either directly or
+// through its compound parent (BillingAddress covers BillingAddress.City)
+function isListed(list, field) {
+    return list.some(f => f === field || field.startsWith(`${f}.`));
+}
+
+// Field bitmaps as sent by the Pub/Sub API: "0x1E" sets bits over the
+// schema's top-level fields, "3-0x02" bits over the nested fields of field 3
+const BITMAP = /^(?:(\d+)-)?0x([0-9a-f]+)$/i;
+
+function bitmapIndexes(hex) {
+    const indexes = [];
+    const digits = hex.split('').reverse();
+    digits.forEach((digit, d) => {
+        const value = parseInt(digit, 16);
+        for (let bit = 0; bit < 4; bit++) {
+            if (value & (1 << bit)) indexes.push(d * 4 + bit);
+        }
+    });
+    return indexes;
+}
+
+/**
+ * Expands bitmap entries of a header field list into field names, using the
+ * event's Avro field names in schema order. Nested bitmaps resolve to their
+ * compound parent, which covers the changed components. Names are passed
+ * through; without schema field names bitmaps are kept as sent.
+ */
+export function expandFieldList(list, schemaFieldNames) {
+    if (!Array.isArray(list)) return [];
+    if (!schemaFieldNames || !schemaFieldNames.length) return list;
+    const names = [];
+    list.forEach(entry => {
+        const match = typeof entry === 'string' ? BITMAP.exec(entry) : null;
+        if (!match) {
+            names.push(entry);
+        } else if (match[1] !== undefined) {
+            const parent = schemaFieldNames[Number(match[1])];
+            names.push(parent || entry);
+        } else {
+            bitmapIndexes(match[2]).forEach(i => names.push(schemaFieldNames[i] || `#${i}`));
+        }
+    });
+    return [...new Set(names)];
+}
+
+/**
+ * API name of the change event that carries an entity's changes:
+ * Account → AccountChangeEvent, Invoice__c → Invoice__ChangeEvent.
+ */
+export function changeEventApiName(entityName) {
+    if (!entityName) return null;
+    return entityName.endsWith('__c')
+        ? `${entityName.slice(0, -3)}__ChangeEvent`
+        : `${entityName}ChangeEvent`;
+}
+
+/**
+ * Label of a flattened field path. Compound components resolve to their
+ * own field where the object has one: Name.FirstName → FirstName,
+ * BillingAddress.City → BillingCity, Site__c.City → Site__City__s.
+ */
+export function fieldLabel(path, labels) {
+    const known = labels || {};
+    if (known[path]) return known[path];
+    const dot = path.lastIndexOf('.');
+    if (dot < 0) return path;
+
+    const parent = path.slice(0, dot);
+    const component = path.slice(dot + 1);
+    const candidates = [
+        component,
+        `${parent.replace(/Address$/, '')}${component}`,
+        parent.replace(/__c$/, `__${component}__s`)
+    ];
+    const match = candidates.find(name => known[name]);
+    if (match) return known[match];
+    return known[parent] ? `${known[parent]}: ${component}` : path;
+}
+
+function displayValue(value) {
+    if (value === null || value === undefined) return 'null';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Labelled view of one CDC payload (JSON string or object):
+ *   {
+ *     changeType, entityName, recordIds, commitUser,
+ *     rows   : [{ key, path, label, value, status }],
+ *     counts : { changed, nulled, diff }
+ *   }
+ * Rows follow the payload order with nulled fields the payload omits
+ * appended. An UPDATE marks payload fields outside changedFields (e.g. the
+ * unchanged components of a compound field) as unchanged; other change
+ * types carry only set values. `options` is { labels, schemaFieldNames }.
+ */
+export function describeChange(payload, options = {}) {
+    const event = parseChangeEvent(payload);
+    const { labels, schemaFieldNames } = options;
+    const changed = expandFieldList(event.changedFields, schemaFieldNames);
+    const nulled = expandFieldList(event.nulledFields, schemaFieldNames);
+    const diff = expandFieldList(event.diffFields, schemaFieldNames);
+    const isUpdate = event.header.changeType === 'UPDATE';
+
+    const statusOf = path => {
+        if (isListed(nulled, path)) return FIELD_STATUS.NULLED;
+        if (isListed(diff, path)) return FIELD_STATUS.DIFF;
+        if (!isUpdate || !changed.length || isListed(changed, path)) return FIELD_STATUS.CHANGED;
+        return FIELD_STATUS.UNCHANGED;
+    };
+
+    const paths = Object.keys(event.fields);
+    nulled.filter(name => !paths.some(p => p === name || p.startsWith(`${name}.`)))
+        .forEach(name => paths.push(name));
+
+    const rows = paths.map(path => ({
+        key    : path,
+        path,
+        label  : fieldLabel(path, labels),
+        value  : displayValue(event.fields[path]),
+        status : statusOf(path)
+    }));
+    const count = status => rows.filter(r => r.status === status).length;
+
+    return {
+        changeType : event.header.changeType || '',
+        entityName : event.header.entityName || '',
+        recordIds  : event.header.recordIds  || [],
+        commitUser : event.header.commitUser || '',
+        rows,
+        counts     : {
+            changed : count(FIELD_STATUS.CHANGED),
+            nulled  : count(FIELD_STATUS.NULLED),
+            diff    : count(FIELD_STATUS.DIFF)
+        }
+    };
+}
+
+export function isGapChange(changeType) {
+    return typeof changeType === 'string' && changeType.startsWith(GAP_PREFIX);
+}
+
+/**
+ * Replays change events (already parsed, oldest first) into field state.
+ *
+ * Each input item is { key, changeType, event } where event comes from
+ * parseChangeEvent. Returns one step per item:
+ *   {
+ *     key, changeType, isGap, deleted,
+ *     changes : [{ field, before, after, nulled, isDiff }],
+ *     state   : { [field]: { value, stale, isDiff } }   // after this step
+ *   }
+ *
+ * CREATE and UNDELETE carry every field and reset the state; UPDATE merges
+ * the fields named in changedFields (every field present when the header
+ * has no list) and clears nulledFields; DELETE only flags the
+ * record. GAP_* events (including GAP_OVERFLOW) carry no values, so every
+ * known field is marked stale until a later event sets it again.
+ * diffFields hold a diff of a long text value rather than the value itself.
+ */
+export function replayChanges(items) {
+    let state = {};
+    let deleted = false;
+
+    return items.map(item => {
+        const { changeType, event } = item;
+        const before = state;
+        const diffFields = new Set(event.diffFields);
+        const changes = [];
+        const isGap = isGapChange(changeType);
+
+        if (isGap) {
+            state = {};
+            Object.keys(before).forEach(f => { state[f] = { ...before[f], stale: true }; });
+        } else if (changeType === 'DELETE') {
+            deleted = true;
+        } else {
+            const fullSnapshot = changeType === 'CREATE' || changeType === 'UNDELETE';
+            state = fullSnapshot ? {} : { ...before };
+            if (fullSnapshot) deleted = false;
+
+            // Nulled fields are handled below, whether or not the payload lists them
+            const applies = field => !isListed(event.nulledFields, field) &&
+                (fullSnapshot || !event.changedFields.length || isListed(event.changedFields, field));
+
+            Object.keys(event.fields).filter(applies).forEach(field => {
+                const after = event.fields[field];
+                const isDiff = diffFields.has(field);
+                state[field] = { value: after, stale: false, isDiff };
+                const prev = before[field];
+                if (!prev || prev.value !== after || prev.stale) {
+                    changes.push({ field, before: prev ? prev.value : undefined, after, nulled: false, isDiff });
+                }
+            });
+
+            event.nulledFields.forEach(nulled => {
+                // A nulled compound field clears all of its components
+                const targets = Object.keys(state).filter(f => f === nulled || f.startsWith(`${nulled}.`));
+                if (!targets.length) targets.push(nulled);
+                targets.forEach(field => {
+                    const prev = before[field];
+                    state[field] = { value: null, stale: false, isDiff: false };
+                    changes.push({ field, before: prev ? prev.value : undefined, after: null, nulled: true, isDiff: false });
+                });
+            });
+        }
+
+        return { key: item.key, changeType, isGap, deleted, changes, state };
+    });
+}
@@ -0,0 +1,169 @@
+/**
+ * eventCorrelation
+ *
+ * Service module (no template) that derives correlation keys from live
+ * payloads and merges live and logged events into a trace.
+ *
+ * Keys follow the same rules as PlatformEventCorrelation on the server, so a
+ * live event and its log carry the same key: the key paths configured for
+ * the exact event API name, else for the entity's change event (events on
+ * /data/ChangeEvents), else for '*'; without any, CDC events correlate on
+ * ChangeEventHeader.transactionKey. The first non-blank scalar wins.
+ *
+ * A trace is ordered by when each hop happened: the CDC commit timestamp,
+ * else the event's CreatedDate, else when it was received or logged.
+ */
+import { resolvePath } from 'c/eventFilter';
+import { changeEventApiName } from 'c/cdcPayload';
+
+export const DEFAULT_EVENT    = '*';
+export const TRANSACTION_PATH = 'ChangeEventHeader.transactionKey';
+
+const KEY_MAX_LENGTH = 255;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Keys
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Indexes the configured keys (PlatformEventCorrelation.getCorrelationKeys)
+ * by event API name. Entries without paths are left out.
+ */
+export function compileCorrelation(keys) {
+    const compiled = {};
+    (keys || []).forEach(k => {
+        const paths = (k.keyPaths || []).filter(p => p && p.trim()).map(p => p.trim());
+        if (k.eventApiName && paths.length) {
+            compiled[k.eventApiName] = paths;
+        }
+    });
+    return compiled;
+}
+
+function pathsFor(compiled, eventApiName, payload) {
+    const entityName = resolvePath(payload, 'ChangeEventHeader.entityName');
+    const candidates = [eventApiName, typeof entityName === 'string' ? changeEventApiName(entityName) : null, DEFAULT_EVENT];
+    const match = candidates.find(c => c && compiled[c]);
+    return match ? compiled[match] : [TRANSACTION_PATH];
+}
+
+/**
+ * Correlation key of a payload object, or null when it has none.
+ */
+export function correlationKeyFor(compiled, eventApiName, payload) {
+    if (!payload || typeof payload !== 'object') return null;
+    for (const path of pathsFor(compiled || {}, eventApiName, payload)) {
+        const value = resolvePath(payload, path);
+        if (value !== null && value !== undefined && typeof value !== 'object' && String(value).trim()) {
+            return String(value).slice(0, KEY_MAX_LENGTH);
+        }
+    }
+    return null;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Traces
+// ─────────────────────────────────────────────────────────────────────────────
+
+function toMillis(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const ms = typeof value === 'number' ? value : Date.parse(value);
+    return Number.isNaN(ms) ? null : ms;
+}
+
+function parsePayload(text) {
+    try {
+        return text ? JSON.parse(text) : {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function fromLive(e) {
+    const payload = e.payloadObject || {};
+    const header  = payload.ChangeEventHeader || {};
+    return {
+        key          : `live:${e.id}`,
+        source       : 'live',
+        logRecordId  : e.logRecordId || null,
+        channel      : e.channel,
+        eventApiName : e.eventApiName || null,
+        replayId     : e.replayId || '',
+        changeType   : header.changeType || null,
+        entityName   : header.entityName || null,
+        at           : toMillis(header.commitTimestamp) ?? toMillis(payload.CreatedDate) ?? toMillis(e.receivedIso),
+        payload
+    };
+}
+
+function fromLog(log) {
+    const payload = parsePayload(log.Payload__c);
+    return {
+        key          : `log:${log.Id}`,
+        source       : 'log',
+        logRecordId  : log.Id,
+        logName      : log.Name,
+        channel      : log.Channel__c,
+        eventApiName : log.Event_API_Name__c,
+        replayId     : log.Replay_ID__c || '',
+        changeType   : log.Change_Type__c || null,
+        entityName   : log.Entity_Name__c || null,
+        at           : toMillis(log.Commit_Timestamp__c)
+            ?? toMillis(log.Event_Published_Date__c)
+            ?? toMillis(log.CreatedDate),
+        payload
+    };
+}
+
+/**
+ * Merges live events (monitor event objects carrying `correlationKey`) and
+ * logged events (PlatformEventCorrelation.getTrace) for one key into hops,
+ * oldest first. A live event that was logged appears once, as the log; so
+ * does a replayed event seen again on the same channel.
+ *
+ * Each hop gets `sinceStartMs` and `sincePreviousMs` (null when a time is
+ * unknown).
+ */
+export function buildTrace(correlationKey, liveEvents, logs) {
+    if (!correlationKey) return [];
+    const hops = [];
+    const seen = new Set();
+    const remember = hop => {
+        const ids = [hop.logRecordId ? `id:${hop.logRecordId}` : null, hop.replayId ? `rp:${hop.channel}:${hop.replayId}` : null];
+        if (ids.some(id => id && seen.has(id))) return;
+        ids.forEach(id => { if (id) seen.add(id); });
+        hops.push(hop);
+    };
+
+    (logs || []).forEach(log => remember(fromLog(log)));
+    (liveEvents || [])
+        .filter(e => e.correlationKey === correlationKey)
+        .forEach(e => remember(fromLive(e)));
+
+    hops.sort((a, b) => {
+        if (a.at === null || b.at === null) return (a.at === null) - (b.at === null);
+        return a.at - b.at;
+    });
+
+    const start = hops.length ? hops[0].at : null;
+    return hops.map((hop, i) => {
+        const previous = i > 0 ? hops[i - 1].at : null;
+        return {
+            ...hop,
+            index           : i + 1,
+            sinceStartMs    : start !== null && hop.at !== null ? hop.at - start : null,
+            sincePreviousMs : previous !== null && hop.at !== null ? hop.at - previous : null
+        };
+    });
+}
+
+/**
+ * Short elapsed-time label: +0 ms, +850 ms, +2.4 s, +3 min 5 s.
+ */
+export function formatElapsed(ms) {
+    if (ms === null || ms === undefined) return '';
+    if (ms < 1000) return `+${ms} ms`;
+    if (ms < 60 * 1000) return `+${(ms / 1000).toFixed(1)} s`;
+    const minutes = Math.floor(ms / 60000);
+    return `+${minutes} min ${Math.round((ms % 60000) / 1000)} s`;
+}
@@ -0,0 +1,313 @@
+/**
+ * eventExport
+ *
+ * Service module (no template) that serializes captured events for export
+ * and reads exported bundles back in.
+ *
+ * Events from the live buffer and from Platform_Event_Log__c are first
+ * normalized to the same record:
+ *   { channel, apiName, eventType, receivedAt, replayId, logId, envelope }
+ * where envelope is the full CometD message ({ channel, data: { schema,
+ * payload, event } }) and receivedAt an ISO timestamp.
+ *
+ * Formats:
+ *   - jsonl  : one CometD envelope per line
+ *   - csv    : one row per event, payload flattened to dot-path columns
+ *   - bundle : a single JSON document (see BUNDLE_FORMAT) holding the
+ *              channels, where the events came from and every record, so
+ *              the monitor can open it again as an offline tab
+ *
+ * parseImport accepts a bundle or a JSON Lines export.
+ */
+
+export const BUNDLE_FORMAT  = 'platform-event-monitor-bundle';
+export const BUNDLE_VERSION = 1;
+
+export const EXPORT_FORMATS = {
+    jsonl  : { label: 'JSON Lines', extension: 'jsonl', mimeType: 'application/x-ndjson' },
+    csv    : { label: 'CSV',        extension: 'csv',   mimeType: 'text/csv' },
+    bundle : { label: 'Bundle',     extension: 'json',  mimeType: 'application/json' }
+};
+
+const CSV_FIXED_COLUMNS = ['channel', 'eventApiName', 'replayId', 'receivedAt', 'logId'];
+
+export class BundleFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BundleFormatError';
+    }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Normalization
+// ─────────────────────────────────────────────────────────────────────────────
+
+function parse(value) {
+    if (!value) return null;
+    if (typeof value === 'object') return value;
+    try { return JSON.parse(value); } catch (_) { return null; }
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Same classification as PlatformEventService / PlatformEventCaptureHandler
+function eventTypeFor(apiName) {
+    const lower = String(apiName || '').toLowerCase();
+    if (lower.endsWith('__e')) return 'Custom Platform Event';
+    if (lower.endsWith('changeevent')) return 'Change Data Capture';
+    return 'Standard Platform Event';
+}
+
+function apiNameFor(channel) {
+    return String(channel || '').split('/').pop();
+}
+
+/**
+ * Normalizes a live monitor event. `meta` supplies the subscription's
+ * { channel, apiName, eventType }.
+ */
+export function fromLiveEvent(evt, meta) {
+    return {
+        channel    : meta.channel,
+        apiName    : meta.apiName,
+        eventType  : meta.eventType,
+        receivedAt : evt.receivedIso || null,
+        replayId   : evt.replayId || '',
+        logId      : evt.logRecordId || null,
+        envelope   : evt.fullMessage || { channel: meta.channel, data: { payload: evt.payloadObject } }
+    };
+}
+
+/**
+ * Normalizes a Platform_Event_Log__c record. Header_Data__c holds the
+ * envelope the log was written from; older or hand-made logs without it
+ * get one rebuilt from the payload.
+ */
+export function fromLogRecord(r) {
+    let envelope = parse(r.Header_Data__c);
+    if (!isObject(envelope) || !isObject(envelope.data)) {
+        envelope = {
+            channel : r.Channel__c,
+            data    : {
+                schema  : r.Schema_ID__c || undefined,
+                payload : parse(r.Payload__c) || {},
+                event   : { replayId: r.Replay_ID__c ? Number(r.Replay_ID__c) : undefined }
+            }
+        };
+    }
+    return {
+        channel    : r.Channel__c,
+        apiName    : r.Event_API_Name__c,
+        eventType  : r.Event_Type__c,
+        receivedAt : r.CreatedDate || null,
+        replayId   : r.Replay_ID__c || '',
+        logId      : r.Id || null,
+        envelope
+    };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Serialization
+// ─────────────────────────────────────────────────────────────────────────────
+
+export function toJsonLines(records) {
+    return records.map(r => JSON.stringify(r.envelope)).join('\n') + (records.length ? '\n' : '');
+}
+
+function flattenPayload(value, prefix, out) {
+    Object.keys(value).forEach(key => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        const v = value[key];
+        if (isObject(v)) {
+            flattenPayload(v, path, out);
+        } else {
+            out[path] = v;
+        }
+    });
+    return out;
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One row per record. Payload columns are the union of every record's
+ * flattened payload paths in first-seen order; arrays are written as JSON.
+ */
+export function toCsv(records) {
+    const columns = [];
+    const seen = new Set();
+    const rows = records.map(r => {
+        const payload = (r.envelope && r.envelope.data && r.envelope.data.payload) || {};
+        const flat = isObject(payload) ? flattenPayload(payload, '', {}) : {};
+        Object.keys(flat).forEach(path => {
+            if (!seen.has(path)) {
+                seen.add(path);
+                columns.push(path);
+            }
+        });
+        return { r, flat };
+    });
+
+    const lines = [[...CSV_FIXED_COLUMNS, ...columns].map(csvCell).join(',')];
+    rows.forEach(({ r, flat }) => {
+        const fixed = [r.channel, r.apiName, r.replayId, r.receivedAt, r.logId];
+        lines.push([...fixed, ...columns.map(c => flat[c])].map(csvCell).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Builds a bundle document. `source` describes where the events came from,
+ * e.g. { type: 'live' } or { type: 'logs', query: {...} }.
+ */
+export function toBundle(records, source) {
+    const channels = new Map();
+    records.forEach(r => {
+        const ch = channels.get(r.channel) ||
+            { channel: r.channel, apiName: r.apiName, eventType: r.eventType, eventCount: 0 };
+        ch.eventCount++;
+        channels.set(r.channel, ch);
+    });
+    return JSON.stringify({
+        format     : BUNDLE_FORMAT,
+        version    : BUNDLE_VERSION,
+        exportedAt : new Date().toISOString(),
+        source     : source || {},
+        channels   : [...channels.values()],
+        entries    : records.map(r => ({
+            channel    : r.channel,
+            receivedAt : r.receivedAt,
+            replayId   : r.replayId,
+            logId      : r.logId,
+            envelope   : r.envelope
+        }))
+    }, null, 2);
+}
+
+/**
+ * Serializes records in one of EXPORT_FORMATS and names the file after
+ * `baseName`. Returns { content, fileName, mimeType }.
+ */
+export function buildExport(format, records, source, baseName) {
+    const spec = EXPORT_FORMATS[format];
+    if (!spec) {
+        throw new Error(`Unknown export format "${format}"`);
+    }
+    let content;
+    if (format === 'jsonl') {
+        content = toJsonLines(records);
+    } else if (format === 'csv') {
+        content = toCsv(records);
+    } else {
+        content = toBundle(records, source);
+    }
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const name = String(baseName || 'events').replace(/^\/+/, '').replace(/[^\w.-]+/g, '_');
+    return { content, fileName: `${name}-${stamp}.${spec.extension}`, mimeType: spec.mimeType };
+}
+
+/**
+ * Saves a file built by buildExport through a temporary object URL.
+ */
+export function downloadFile({ content, fileName, mimeType }) {
+    const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    // eslint-disable-next-line @lwc/lwc/no-async-operation
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Import
+// ─────────────────────────────────────────────────────────────────────────────
+
+function toEntry(raw) {
+    const envelope = isObject(raw.envelope) ? raw.envelope : null;
+    const channel = raw.channel || (envelope && envelope.channel);
+    if (!envelope || !channel) return null;
+    const event = (isObject(envelope.data) && envelope.data.event) || {};
+    return {
+        channel,
+        receivedAt : raw.receivedAt || null,
+        replayId   : String(raw.replayId || event.replayId || ''),
+        logId      : raw.logId || null,
+        envelope
+    };
+}
+
+function readEntries(text) {
+    const trimmed = String(text || '').trim();
+    if (!trimmed) {
+        throw new BundleFormatError('The file is empty.');
+    }
+
+    let doc = null;
+    try { doc = JSON.parse(trimmed); } catch (_) { /* maybe JSON Lines */ }
+
+    if (isObject(doc) && doc.format === BUNDLE_FORMAT) {
+        if (doc.version > BUNDLE_VERSION) {
+            throw new BundleFormatError(`Bundle version ${doc.version} is newer than this monitor supports.`);
+        }
+        if (!Array.isArray(doc.entries)) {
+            throw new BundleFormatError('The bundle has no entries.');
+        }
+        return { doc, entries: doc.entries.filter(isObject).map(toEntry) };
+    }
+
+    // JSON Lines: one CometD envelope per line (a single envelope parses as a document)
+    const lines = isObject(doc) ? [doc] : trimmed.split(/\r?\n/).filter(l => l.trim());
+    const entries = lines.map((line, i) => {
+        const envelope = typeof line === 'string' ? parse(line) : line;
+        if (!isObject(envelope)) {
+            throw new BundleFormatError(`Line ${i + 1} is not a JSON object.`);
+        }
+        return toEntry({ envelope });
+    });
+    return { doc: null, entries };
+}
+
+/**
+ * Reads a bundle or JSON Lines export. Returns
+ *   { exportedAt, source, channels: [{ channel, apiName, eventType, entries }] }
+ * with each channel's entries in file order. Entries without a channel or
+ * envelope are skipped; throws BundleFormatError when nothing usable remains.
+ */
+export function parseImport(text) {
+    const { doc, entries } = readEntries(text);
+    const valid = entries.filter(Boolean);
+    if (!valid.length) {
+        throw new BundleFormatError('No events with a channel and envelope were found.');
+    }
+
+    const declared = new Map(((doc && doc.channels) || [])
+        .filter(isObject)
+        .map(c => [c.channel, c]));
+    const channels = new Map();
+    valid.forEach(entry => {
+        if (!channels.has(entry.channel)) {
+            const meta = declared.get(entry.channel) || {};
+            const apiName = meta.apiName || apiNameFor(entry.channel);
+            channels.set(entry.channel, {
+                channel   : entry.channel,
+                apiName,
+                eventType : meta.eventType || eventTypeFor(apiName),
+                entries   : []
+            });
+        }
+        channels.get(entry.channel).entries.push(entry);
+    });
+
+    return {
+        exportedAt : (doc && doc.exportedAt) || null,
+        source     : (doc && doc.source) || { type: 'jsonl' },
+        channels   : [...channels.values()]
+    };
+}
@@ -0,0 +1,244 @@
+/**
+ * eventFilter
+ *
+ * Service module (no template) that compiles live-stream filter expressions
+ * into predicates over an event payload.
+ *
+ * Grammar:
+ *   expression := term ( OR term )*
+ *   term       := factor ( AND factor )*
+ *   factor     := NOT factor | '(' expression ')' | comparison
+ *   comparison := path operator value
+ *   operator   := '=' | '!=' | CONTAINS | MATCHES | '~'
+ *   value      := 'quoted' | "quoted" | /regex/flags (MATCHES only) | bareword
+ *
+ * Paths are dot-separated and resolved from the payload root
+ * (e.g. ChangeEventHeader.entityName, ChangeEventHeader.recordIds.0).
+ * '=' and '!=' compare string forms exactly; CONTAINS is case-insensitive;
+ * MATCHES / '~' tests a regular expression. When the path resolves to an
+ * array, a comparison matches if any element matches.
+ *
+ * Example:
+ *   ChangeEventHeader.entityName = Account AND Status__c = 'Failed'
+ */
+
+export class FilterSyntaxError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'FilterSyntaxError';
+    }
+}
+
+const KEYWORDS = new Set(['AND', 'OR', 'NOT', 'CONTAINS', 'MATCHES']);
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Tokenizer
+// ─────────────────────────────────────────────────────────────────────────────
+
+function tokenize(input) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < input.length) {
+        const ch = input[i];
+
+        if (/\s/.test(ch)) {
+            i++;
+        } else if (ch === '(' || ch === ')') {
+            tokens.push({ type: ch });
+            i++;
+        } else if (ch === '!' && input[i + 1] === '=') {
+            tokens.push({ type: 'op', value: '!=' });
+            i += 2;
+        } else if (ch === '=' || ch === '~') {
+            tokens.push({ type: 'op', value: ch === '=' ? '=' : 'MATCHES' });
+            i++;
+        } else if (ch === '\'' || ch === '"') {
+            let j = i + 1;
+            let text = '';
+            while (j < input.length && input[j] !== ch) {
+                if (input[j] === '\\' && j + 1 < input.length) j++;
+                text += input[j];
+                j++;
+            }
+            if (j >= input.length) {
+                throw new FilterSyntaxError(`Unterminated string starting at position ${i + 1}`);
+            }
+            tokens.push({ type: 'value', value: text });
+            i = j + 1;
+        } else if (ch === '/' && tokens.length && tokens[tokens.length - 1].value === 'MATCHES') {
+            const end = input.indexOf('/', i + 1);
+            if (end === -1) {
+                throw new FilterSyntaxError(`Unterminated regular expression at position ${i + 1}`);
+            }
+            const flags = (/^[gimsuy]*/.exec(input.slice(end + 1)) || [''])[0];
+            tokens.push({ type: 'regex', value: input.slice(i + 1, end), flags });
+            i = end + 1 + flags.length;
+        } else {
+            let j = i;
+            while (j < input.length && !/[\s()=!~'"]/.test(input[j])) j++;
+            if (j === i) {
+                throw new FilterSyntaxError(`Unexpected character "${ch}" at position ${i + 1}`);
+            }
+            const word = input.slice(i, j);
+            const upper = word.toUpperCase();
+            if (upper === 'CONTAINS' || upper === 'MATCHES') {
+                tokens.push({ type: 'op', value: upper });
+            } else if (KEYWORDS.has(upper)) {
+                tokens.push({ type: upper });
+            } else {
+                tokens.push({ type: 'word', value: word });
+            }
+            i = j;
+        }
+    }
+    return tokens;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Parser (recursive descent → AST)
+// ─────────────────────────────────────────────────────────────────────────────
+
+function parse(tokens) {
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const next = () => tokens[pos++];
+
+    function expression() {
+        let node = term();
+        while (peek() && peek().type === 'OR') {
+            next();
+            node = { type: 'or', left: node, right: term() };
+        }
+        return node;
+    }
+
+    function term() {
+        let node = factor();
+        while (peek() && peek().type === 'AND') {
+            next();
+            node = { type: 'and', left: node, right: factor() };
+        }
+        return node;
+    }
+
+    function factor() {
+        const tok = peek();
+        if (!tok) {
+            throw new FilterSyntaxError('Unexpected end of filter');
+        }
+        if (tok.type === 'NOT') {
+            next();
+            return { type: 'not', operand: factor() };
+        }
+        if (tok.type === '(') {
+            next();
+            const node = expression();
+            if (!peek() || peek().type !== ')') {
+                throw new FilterSyntaxError('Missing closing parenthesis');
+            }
+            next();
+            return node;
+        }
+        return comparison();
+    }
+
+    function comparison() {
+        const pathTok = next();
+        if (!pathTok || pathTok.type !== 'word') {
+            throw new FilterSyntaxError('Expected a field path');
+        }
+        const opTok = next();
+        if (!opTok || opTok.type !== 'op') {
+            throw new FilterSyntaxError(`Expected an operator after "${pathTok.value}"`);
+        }
+        const valTok = next();
+        if (!valTok || !['word', 'value', 'regex'].includes(valTok.type)) {
+            throw new FilterSyntaxError(`Expected a value after "${pathTok.value} ${opTok.value}"`);
+        }
+
+        const node = { type: 'cmp', path: pathTok.value.split('.'), op: opTok.value, value: valTok.value };
+        if (opTok.value === 'MATCHES') {
+            try {
+                node.regex = new RegExp(valTok.value, valTok.flags || '');
+            } catch (e) {
+                throw new FilterSyntaxError(`Invalid regular expression: ${e.message}`);
+            }
+        }
+        return node;
+    }
+
+    const ast = expression();
+    if (pos < tokens.length) {
+        throw new FilterSyntaxError(`Unexpected "${tokens[pos].value || tokens[pos].type}"`);
+    }
+    return ast;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Evaluation
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Resolves a dot path (array of segments) against an object.
+ * Returns undefined when any segment is missing.
+ */
+export function resolvePath(obj, path) {
+    const segments = Array.isArray(path) ? path : String(path).split('.');
+    let cur = obj;
+    for (const seg of segments) {
+        if (cur === null || cur === undefined || typeof cur !== 'object') return undefined;
+        cur = cur[seg];
+    }
+    return cur;
+}
+
+function asText(value) {
+    if (value === null || value === undefined) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function compareOne(actual, node) {
+    const text = asText(actual);
+    switch (node.op) {
+        case '=':        return text === node.value;
+        case '!=':       return text !== node.value;
+        case 'CONTAINS': return text.toLowerCase().includes(String(node.value).toLowerCase());
+        case 'MATCHES':  node.regex.lastIndex = 0; return node.regex.test(text);
+        default:         return false;
+    }
+}
+
+function evaluate(node, payload) {
+    switch (node.type) {
+        case 'and': return evaluate(node.left, payload) && evaluate(node.right, payload);
+        case 'or':  return evaluate(node.left, payload) || evaluate(node.right, payload);
+        case 'not': return !evaluate(node.operand, payload);
+        default: {
+            const actual = resolvePath(payload, node.path);
+            if (Array.isArray(actual)) {
+                // != on an array means "no element equals"
+                return node.op === '!='
+                    ? actual.every(item => compareOne(item, node))
+                    : actual.some(item => compareOne(item, node));
+            }
+            return compareOne(actual, node);
+        }
+    }
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Public API
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Compiles a filter expression into a predicate `(payload) => Boolean`.
+ * A blank expression yields null (no filtering).
+ * Throws FilterSyntaxError for malformed expressions.
+ */
+export function compileFilter(expression) {
+    const source = (expression || '').trim();
+    if (!source) return null;
+    const ast = parse(tokenize(source));
+    return payload => evaluate(ast, payload || {});
+}
@@ -0,0 +1,193 @@
+import { LightningElement, api, track } from 'lwc';
+import { NavigationMixin } from 'lightning/navigation';
+import getEventHealth from '@salesforce/apex/PlatformEventHealth.getEventHealth';
+
+const STATUS_CLASS = {
+    Running   : 'eh-status eh-status-running',
+    Suspended : 'eh-status eh-status-suspended',
+    Error     : 'eh-status eh-status-error'
+};
+
+const SUBSCRIBER_TYPE_LABEL = {
+    ApexTrigger : 'Apex trigger',
+    Flow        : 'Flow',
+    Process     : 'Process'
+};
+
+function formatDate(value) {
+    return value ? new Date(value).toLocaleString() : '';
+}
+
+/**
+ * eventHealth
+ *
+ * Subscription health of one event, opened from its catalog row: whether
+ * Change Data Capture is enabled for a change event's entity, and the
+ * event's EventBusSubscriber records (Apex triggers, flows, processes) with
+ * position, tip, lag, retries, status and last error.
+ *
+ * Trigger subscribers cannot be suspended or resumed through an API, so the
+ * Suspend / Resume actions open the Setup page that does it
+ * (PlatformEventHealth.setupUrl); refresh afterwards to see the new status.
+ *
+ * Custom events fired:
+ *   - 'close' : {}
+ */
+export default class EventHealth extends NavigationMixin(LightningElement) {
+
+    // ── Public API ────────────────────────────────────────────────────────────
+
+    @api
+    get eventApiName() {
+        return this._eventApiName;
+    }
+
+    set eventApiName(value) {
+        const changed = value !== this._eventApiName;
+        this._eventApiName = value;
+        if (changed) {
+            this._scheduleLoad();
+        }
+    }
+
+    @api
+    get channel() {
+        return this._channel;
+    }
+
+    set channel(value) {
+        const changed = value !== this._channel;
+        this._channel = value;
+        if (changed) {
+            this._scheduleLoad();
+        }
+    }
+
+    @api label = '';
+
+    // ── State ─────────────────────────────────────────────────────────────────
+
+    @track _health   = null;
+    @track isLoading = false;
+    @track _error    = null;
+
+    _eventApiName = null;
+    _channel = null;
+    _connected = false;
+    _loadQueued = false;
+    _requestSeq = 0;
+
+    // ── Lifecycle ─────────────────────────────────────────────────────────────
+
+    connectedCallback() {
+        this._connected = true;
+        this._loadHealth();
+    }
+
+    disconnectedCallback() {
+        this._connected = false;
+    }
+
+    // ── Computed ──────────────────────────────────────────────────────────────
+
+    get title()        { return `Subscription Health · ${this.label || this.eventApiName}`; }
+    get hasError()     { return !!this._error; }
+    get errorMessage() { return this._error; }
+    get hasHealth()    { return !!this._health; }
+    get isCdc()        { return !!this._health?.isCdc; }
+    get checkedAt()    { return formatDate(this._health?.checkedAt); }
+    get lastLogged()   { return formatDate(this._health?.lastLogged) || 'Never'; }
+    get canManage()    { return !!this._health?.setupUrl; }
+
+    get cdcStatus() {
+        const enabled = this._health?.cdcEnabled;
+        const entity = (this._health?.eventApiName || '').replace(/ChangeEvent$/, '').replace(/__$/, '__c');
+        if (enabled === true) {
+            return { iconName: 'utility:success', rowClass: 'eh-check eh-check-done', text: `Change Data Capture is enabled for ${entity}` };
+        }
+        if (enabled === false) {
+            return { iconName: 'utility:warning', rowClass: 'eh-check eh-check-todo', text: `Change Data Capture is not enabled for ${entity}; select it in Setup` };
+        }
+        return {
+            iconName : 'utility:info',
+            rowClass : 'eh-check eh-check-unknown',
+            text     : 'CDC selection is unknown: it is read from the Tooling API through the Platform_Event_Monitor_API named credential'
+        };
+    }
+
+    get cdcChannelsLabel() {
+        const channels = this._health?.cdcChannels || [];
+        return channels.length ? `Also on custom channels: ${channels.join(', ')}` : '';
+    }
+
+    get subscribers() {
+        return (this._health?.subscribers || []).map((s, i) => ({
+            ...s,
+            key         : `${s.externalId || s.name}-${i}`,
+            typeLabel   : SUBSCRIBER_TYPE_LABEL[s.subscriberType] || s.subscriberType,
+            statusClass : STATUS_CLASS[s.status] || 'eh-status',
+            lagClass    : s.lag ? 'eh-num eh-lag' : 'eh-num',
+            canSuspend  : s.isTrigger && s.status === 'Running' && this.canManage,
+            canResume   : s.isTrigger && s.status !== 'Running' && this.canManage
+        }));
+    }
+
+    get hasSubscribers() { return this.subscribers.length > 0; }
+
+    // ── Handlers ──────────────────────────────────────────────────────────────
+
+    handleManage() {
+        if (!this.canManage) return;
+        this[NavigationMixin.Navigate]({
+            type: 'standard__webPage',
+            attributes: { url: this._health.setupUrl }
+        });
+    }
+
+    handleRefresh() {
+        this._loadHealth();
+    }
+
+    handleClose() {
+        this.dispatchEvent(new CustomEvent('close'));
+    }
+
+    // ── Private helpers ───────────────────────────────────────────────────────
+
+    // The event and channel change together when another row is opened; load once
+    _scheduleLoad() {
+        if (!this._connected || this._loadQueued) return;
+        this._loadQueued = true;
+        Promise.resolve().then(() => {
+            this._loadQueued = false;
+            this._loadHealth();
+        });
+    }
+
+    async _loadHealth() {
+        this._error = null;
+        if (!this._eventApiName) {
+            this._health = null;
+            return;
+        }
+
+        // Only the latest event may update the panel
+        const seq = ++this._requestSeq;
+        this.isLoading = true;
+        try {
+            const result = await getEventHealth({ eventApiName: this._eventApiName, channel: this._channel });
+            if (seq === this._requestSeq) {
+                this._health = result;
+            }
+        } catch (err) {
+            if (seq === this._requestSeq) {
+                this._health = null;
+                this._error = err?.body?.message || 'Failed to load subscription health.';
+            }
+        } finally {
+            if (seq === this._requestSeq) {
+                this.isLoading = false;
+            }
+        }
+    }
+}
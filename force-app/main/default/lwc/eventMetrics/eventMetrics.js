@@ -0,0 +1,130 @@
+/**
+ * eventMetrics
+ *
+ * Service module (no template) that tracks live throughput per channel.
+ *
+ * createChannelMetrics() returns a plain state object that recordEvent()
+ * updates as events arrive; summarize() turns it into display values:
+ *   - perSecond     : average rate over the last RATE_WINDOW_SECONDS
+ *   - perMinute     : events received in the last 60 seconds
+ *   - peakPerSecond : busiest single second since subscribing
+ *   - peakPerMinute : busiest sliding minute since subscribing
+ *   - sinceLast     : time since the last event
+ *   - sparkline     : per-second counts for the last SPARKLINE_SECONDS
+ *   - cdc           : counts by entity and change type for CDC payloads
+ *
+ * State only holds plain objects and arrays so it can be kept on a component
+ * without Map/Set proxies.
+ */
+
+export const SPARKLINE_SECONDS   = 60;
+export const RATE_WINDOW_SECONDS = 10;
+
+const MINUTE_SECONDS = 60;
+
+function secondOf(ms) {
+    return Math.floor(ms / 1000);
+}
+
+// Drop per-second counts that fell out of the sparkline window
+function prune(m, nowSecond) {
+    const oldest = nowSecond - Math.max(SPARKLINE_SECONDS, MINUTE_SECONDS) + 1;
+    Object.keys(m.counts).forEach(key => {
+        if (Number(key) < oldest) delete m.counts[key];
+    });
+}
+
+function countSince(m, fromSecond) {
+    return Object.keys(m.counts).reduce(
+        (sum, key) => (Number(key) >= fromSecond ? sum + m.counts[key] : sum), 0);
+}
+
+export function createChannelMetrics() {
+    return {
+        counts        : {},   // epoch second → events received in it
+        total         : 0,
+        lastAt        : null,
+        peakPerSecond : 0,
+        peakPerMinute : 0,
+        cdc           : {}    // "entity|changeType" → count
+    };
+}
+
+/**
+ * Counts one received event. CDC payloads also feed the entity / change
+ * type breakdown (one count per event, whatever the number of record Ids).
+ */
+export function recordEvent(m, payload, now = Date.now()) {
+    const second = secondOf(now);
+    prune(m, second);
+
+    m.counts[second] = (m.counts[second] || 0) + 1;
+    m.total++;
+    m.lastAt = now;
+    m.peakPerSecond = Math.max(m.peakPerSecond, m.counts[second]);
+    m.peakPerMinute = Math.max(m.peakPerMinute, countSince(m, second - MINUTE_SECONDS + 1));
+
+    const header = payload && payload.ChangeEventHeader;
+    if (header && header.entityName) {
+        const key = `${header.entityName}|${header.changeType || ''}`;
+        m.cdc[key] = (m.cdc[key] || 0) + 1;
+    }
+}
+
+export function formatElapsed(ms) {
+    if (ms === null || ms === undefined) return '—';
+    const seconds = Math.floor(ms / 1000);
+    if (seconds < 1) return 'just now';
+    if (seconds < 60) return `${seconds}s ago`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m ${seconds % 60}s ago`;
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m ago`;
+}
+
+/**
+ * Builds an SVG path ("M x,y L x,y …") drawing values as a line scaled to
+ * width × height, highest value at the top.
+ */
+export function sparklinePath(values, width = 120, height = 24) {
+    if (!values.length) return '';
+    const max = Math.max(1, ...values);
+    const step = values.length > 1 ? width / (values.length - 1) : 0;
+    return values.map((v, i) => {
+        const x = Math.round(i * step * 10) / 10;
+        const y = Math.round((height - 1 - (v / max) * (height - 2)) * 10) / 10;
+        return `${i === 0 ? 'M' : 'L'}${x},${y}`;
+    }).join(' ');
+}
+
+/**
+ * Display values for a channel at `now`; see the module comment.
+ */
+export function summarize(m, now = Date.now()) {
+    const second = secondOf(now);
+    prune(m, second);
+
+    const sparkline = [];
+    for (let s = second - SPARKLINE_SECONDS + 1; s <= second; s++) {
+        sparkline.push(m.counts[s] || 0);
+    }
+    const inRateWindow = countSince(m, second - RATE_WINDOW_SECONDS + 1);
+
+    const cdc = Object.keys(m.cdc)
+        .map(key => {
+            const [entityName, changeType] = key.split('|');
+            return { key, entityName, changeType, count: m.cdc[key] };
+        })
+        .sort((a, b) => b.count - a.count || a.key.localeCompare(b.key));
+
+    return {
+        total         : m.total,
+        perSecond     : Math.round((inRateWindow / RATE_WINDOW_SECONDS) * 10) / 10,
+        perMinute     : countSince(m, second - MINUTE_SECONDS + 1),
+        peakPerSecond : m.peakPerSecond,
+        peakPerMinute : m.peakPerMinute,
+        sinceLast     : formatElapsed(m.lastAt === null ? null : now - m.lastAt),
+        sparkline,
+        sparkPath     : sparklinePath(sparkline),
+        cdc
+    };
+}
@@ -0,0 +1,253 @@
+import { LightningElement, api, track, wire } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { refreshApex } from '@salesforce/apex';
+import getEventFields        from '@salesforce/apex/PlatformEventService.getEventFields';
+import publishEvents         from '@salesforce/apex/PlatformEventPublisher.publishEvents';
+import getPayloadTemplates   from '@salesforce/apex/PlatformEventPublisher.getPayloadTemplates';
+import savePayloadTemplate   from '@salesforce/apex/PlatformEventPublisher.savePayloadTemplate';
+import deletePayloadTemplate from '@salesforce/apex/PlatformEventPublisher.deletePayloadTemplate';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────────────────────────────────────
+
+// Schema.DisplayType → lightning-input type
+const INPUT_TYPE = {
+    BOOLEAN  : 'checkbox',
+    INTEGER  : 'number',
+    LONG     : 'number',
+    DOUBLE   : 'number',
+    CURRENCY : 'number',
+    PERCENT  : 'number',
+    DATE     : 'date',
+    DATETIME : 'datetime',
+    EMAIL    : 'email',
+    URL      : 'url',
+    PHONE    : 'tel'
+};
+
+const INTEGER_TYPES = new Set(['INTEGER', 'LONG']);
+
+/**
+ * eventPublisher
+ *
+ * Builds a form from a custom platform event's field schema, publishes the
+ * event through PlatformEventPublisher and manages saved payload templates.
+ *
+ * Custom events fired:
+ *   - 'published' : { detail: { eventApiName, channel, results } }
+ *   - 'close'     : {}
+ */
+export default class EventPublisher extends LightningElement {
+
+    // ── Public API ────────────────────────────────────────────────────────────
+
+    @api eventApiName = '';
+    @api channel      = '';
+    @api label        = '';
+
+    // ── State ─────────────────────────────────────────────────────────────────
+
+    @track _fields       = [];
+    @track _values       = {};   // field API name → raw input value
+    @track _results      = [];
+    @track _templates    = [];
+    @track selectedTemplateId = '';
+    @track templateName  = '';
+    @track isPublishing  = false;
+    @track _error        = null;
+
+    _wiredTemplates;
+
+    // ── Wire ──────────────────────────────────────────────────────────────────
+
+    @wire(getEventFields, { eventApiName: '$eventApiName' })
+    wiredFields({ data, error }) {
+        if (data) {
+            this._fields = data
+                .filter(f => f.createable !== false)
+                .sort((a, b) => (b.required - a.required) || a.label.localeCompare(b.label));
+            this._error = null;
+        } else if (error) {
+            this._error = error?.body?.message || 'Failed to load event fields.';
+        }
+    }
+
+    @wire(getPayloadTemplates, { eventApiName: '$eventApiName' })
+    wiredTemplates(result) {
+        this._wiredTemplates = result;
+        if (result.data) {
+            this._templates = result.data;
+        }
+    }
+
+    // ── Computed ──────────────────────────────────────────────────────────────
+
+    get title()        { return `Publish ${this.label || this.eventApiName}`; }
+    get hasError()     { return !!this._error; }
+    get errorMessage() { return this._error; }
+    get hasFields()    { return this._fields.length > 0; }
+    get hasResults()   { return this._results.length > 0; }
+    get hasTemplates() { return this._templates.length > 0; }
+    get noTemplates()  { return !this.hasTemplates; }
+    get noTemplateSelected() { return !this.selectedTemplateId; }
+    get publishDisabled()    { return this.isPublishing || !this.hasFields; }
+
+    get formFields() {
+        return this._fields.map(f => {
+            const inputType = INPUT_TYPE[f.fieldType] || 'text';
+            const isCheckbox = inputType === 'checkbox';
+            return {
+                name       : f.name,
+                label      : f.label,
+                inputType,
+                isCheckbox,
+                // Checkboxes always have a value, so "required" means nothing for them
+                required   : !isCheckbox && f.required,
+                step       : INTEGER_TYPES.has(f.fieldType) ? '1' : 'any',
+                value      : this._values[f.name] != null ? this._values[f.name] : '',
+                checked    : this._values[f.name] === true,
+                fieldHelp  : `${f.name} · ${f.fieldType}`
+            };
+        });
+    }
+
+    get templateOptions() {
+        return this._templates.map(t => ({ label: t.Name, value: t.Id }));
+    }
+
+    get payloadPreview() {
+        return this._buildPayload();
+    }
+
+    get resultRows() {
+        return this._results.map(r => ({
+            key       : String(r.index),
+            success   : r.success,
+            text      : r.success
+                ? `Published${r.operationId ? ` (operation ${r.operationId})` : ''}`
+                : r.errors.join('; '),
+            rowClass  : r.success ? 'ep-result ep-result-success' : 'ep-result ep-result-error',
+            iconName  : r.success ? 'utility:success' : 'utility:error'
+        }));
+    }
+
+    // ── Handlers: form ────────────────────────────────────────────────────────
+
+    handleFieldChange(event) {
+        const name = event.target.dataset.field;
+        const value = event.target.type === 'checkbox' ? event.target.checked : event.target.value;
+        this._values = { ...this._values, [name]: value };
+    }
+
+    handleReset() {
+        this._values = {};
+        this._results = [];
+        this.selectedTemplateId = '';
+    }
+
+    handleClose() {
+        this.dispatchEvent(new CustomEvent('close'));
+    }
+
+    async handlePublish() {
+        const inputs = [...this.template.querySelectorAll('lightning-input.ep-field-input')];
+        const valid = inputs.reduce((ok, input) => input.reportValidity() && ok, true);
+        if (!valid) {
+            this._toast('Missing Values', 'Fill in all required fields before publishing', 'warning');
+            return;
+        }
+
+        this.isPublishing = true;
+        try {
+            const results = await publishEvents({
+                eventApiName : this.eventApiName,
+                payloads     : [JSON.stringify(this._buildPayload())]
+            });
+            this._results = results;
+            const failed = results.filter(r => !r.success).length;
+            if (failed) {
+                this._toast('Publish Failed', results[0].errors.join('; '), 'error');
+            } else {
+                this._toast('Published', `${this.eventApiName} published`, 'success');
+            }
+            this.dispatchEvent(new CustomEvent('published', {
+                detail: { eventApiName: this.eventApiName, channel: this.channel, results }
+            }));
+        } catch (err) {
+            this._toast('Publish Failed', err?.body?.message || 'Publish failed', 'error');
+        } finally {
+            this.isPublishing = false;
+        }
+    }
+
+    // ── Handlers: templates ───────────────────────────────────────────────────
+
+    handleTemplateSelect(event) {
+        this.selectedTemplateId = event.detail.value;
+        const template = this._templates.find(t => t.Id === this.selectedTemplateId);
+        if (!template) return;
+
+        let payload = {};
+        try { payload = JSON.parse(template.Payload__c || '{}'); } catch (_) { /* keep empty */ }
+        this._values = { ...payload };
+        this.templateName = template.Name;
+        this._results = [];
+    }
+
+    handleTemplateNameChange(event) {
+        this.templateName = event.target.value || '';
+    }
+
+    async handleSaveTemplate() {
+        const name = this.templateName.trim();
+        if (!name) {
+            this._toast('Template Name Required', 'Enter a name to save this payload as a template', 'warning');
+            return;
+        }
+        try {
+            this.selectedTemplateId = await savePayloadTemplate({
+                name,
+                eventApiName : this.eventApiName,
+                payload      : JSON.stringify(this._buildPayload())
+            });
+            await refreshApex(this._wiredTemplates);
+            this._toast('Template Saved', `Saved "${name}"`, 'success');
+        } catch (err) {
+            this._toast('Error', err?.body?.message || 'Template save failed', 'error');
+        }
+    }
+
+    async handleDeleteTemplate() {
+        if (!this.selectedTemplateId) return;
+        try {
+            await deletePayloadTemplate({ templateId: this.selectedTemplateId });
+            this.selectedTemplateId = '';
+            this.templateName = '';
+            await refreshApex(this._wiredTemplates);
+            this._toast('Template Deleted', 'Template removed', 'info');
+        } catch (err) {
+            this._toast('Error', err?.body?.message || 'Template delete failed', 'error');
+        }
+    }
+
+    // ── Private helpers ───────────────────────────────────────────────────────
+
+    _buildPayload() {
+        const payload = {};
+        this._fields.forEach(f => {
+            const raw = this._values[f.name];
+            if (raw === undefined || raw === null || raw === '') return;
+            if (INPUT_TYPE[f.fieldType] === 'number') {
+                payload[f.name] = Number(raw);
+            } else {
+                payload[f.name] = raw;
+            }
+        });
+        return payload;
+    }
+
+    _toast(title, message, variant) {
+        this.dispatchEvent(new ShowToastEvent({ title, message, variant }));
+    }
+}
@@ -0,0 +1,226 @@
+import { LightningElement, api, track } from 'lwc';
+import { NavigationMixin } from 'lightning/navigation';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import getRepublishDrafts from '@salesforce/apex/PlatformEventPublisher.getRepublishDrafts';
+import republishLogs      from '@salesforce/apex/PlatformEventPublisher.republishLogs';
+
+/**
+ * eventRepublisher
+ *
+ * Re-publishes logged custom platform events. Each log is rebuilt from its
+ * stored payload by PlatformEventPublisher.getRepublishDrafts (read-only
+ * fields such as CreatedDate / CreatedById are dropped and listed), can be
+ * edited as JSON, and is published through republishLogs. The new log
+ * created for each re-published event links back to the original.
+ *
+ * Custom events fired:
+ *   - 'republished' : { detail: { results } }
+ *   - 'close'       : {}
+ */
+export default class EventRepublisher extends NavigationMixin(LightningElement) {
+
+    // ── Public API ────────────────────────────────────────────────────────────
+
+    @api
+    get logIds() {
+        return this._logIds;
+    }
+
+    set logIds(value) {
+        this._logIds = Array.isArray(value) ? [...value] : [];
+        this._loadDrafts();
+    }
+
+    // ── State ─────────────────────────────────────────────────────────────────
+
+    @track _drafts      = [];
+    @track _edits       = {};   // logId → edited payload text
+    @track _editing     = {};   // logId → editor open
+    @track _results     = {};   // logId → RepublishResult
+    @track _invalid     = {};   // logId → JSON error in the edited payload
+    @track isLoading    = false;
+    @track isPublishing = false;
+    @track _error       = null;
+
+    _logIds = [];
+    _requestSeq = 0;
+
+    // ── Computed ──────────────────────────────────────────────────────────────
+
+    get hasError()     { return !!this._error; }
+    get errorMessage() { return this._error; }
+    get hasDrafts()    { return this._drafts.length > 0; }
+
+    get republishableCount() {
+        return this._drafts.filter(d => d.republishable).length;
+    }
+
+    get title() {
+        const n = this._logIds.length;
+        return `Re-publish ${n} logged event${n === 1 ? '' : 's'}`;
+    }
+
+    get summary() {
+        const skipped = this._drafts.length - this.republishableCount;
+        return skipped
+            ? `${this.republishableCount} can be re-published, ${skipped} will be skipped`
+            : '';
+    }
+
+    get publishDisabled() {
+        return this.isLoading || this.isPublishing || this.republishableCount === 0;
+    }
+
+    get draftRows() {
+        return this._drafts.map(d => {
+            const result = this._results[d.logId];
+            const editing = !!this._editing[d.logId];
+            return {
+                ...d,
+                key           : d.logId,
+                title         : `${d.logName || d.logId} · ${d.eventApiName || ''}`,
+                replayLabel   : d.replayId ? `replay ${d.replayId}` : '',
+                editing,
+                editLabel     : editing ? 'Done' : 'Edit',
+                edited        : this._edits[d.logId] !== undefined,
+                payloadText   : this._edits[d.logId] !== undefined ? this._edits[d.logId] : d.payload,
+                payloadValue  : this._previewValue(d),
+                invalidJson   : this._invalid[d.logId] || '',
+                hasDropped    : d.droppedFields && d.droppedFields.length > 0,
+                droppedLabel  : (d.droppedFields || []).join(', '),
+                hasResult     : !!result,
+                resultClass   : result && result.success ? 'rp-result rp-result-success' : 'rp-result rp-result-error',
+                resultIcon    : result && result.success ? 'utility:success' : 'utility:error',
+                resultText    : result ? this._resultText(result) : '',
+                newLogId      : result ? result.republishedLogId : null
+            };
+        });
+    }
+
+    // ── Handlers ──────────────────────────────────────────────────────────────
+
+    handleToggleEdit(event) {
+        const id = event.currentTarget.dataset.logId;
+        this._editing = { ...this._editing, [id]: !this._editing[id] };
+    }
+
+    handlePayloadChange(event) {
+        const id = event.target.dataset.logId;
+        const text = event.target.value;
+        this._edits = { ...this._edits, [id]: text };
+
+        const invalid = { ...this._invalid };
+        try {
+            const parsed = JSON.parse(text);
+            if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+                invalid[id] = 'The payload must be a JSON object of field values.';
+            } else {
+                delete invalid[id];
+            }
+        } catch (e) {
+            invalid[id] = e.message;
+        }
+        this._invalid = invalid;
+    }
+
+    handleRevert(event) {
+        const id = event.currentTarget.dataset.logId;
+        const edits = { ...this._edits };
+        const invalid = { ...this._invalid };
+        delete edits[id];
+        delete invalid[id];
+        this._edits = edits;
+        this._invalid = invalid;
+    }
+
+    handleOpenLog(event) {
+        const recordId = event.currentTarget.dataset.recordId;
+        if (!recordId) return;
+        this[NavigationMixin.Navigate]({
+            type: 'standard__recordPage',
+            attributes: { recordId, actionName: 'view' }
+        });
+    }
+
+    handleClose() {
+        this.dispatchEvent(new CustomEvent('close'));
+    }
+
+    async handleRepublish() {
+        if (Object.keys(this._invalid).length) {
+            this._toast('Invalid Payload', 'Fix the highlighted payloads before re-publishing', 'warning');
+            return;
+        }
+
+        this.isPublishing = true;
+        try {
+            // Unedited drafts send no payload: the server rebuilds the stored one
+            const requests = this._drafts
+                .filter(d => d.republishable)
+                .map(d => ({ logId: d.logId, payload: this._edits[d.logId] || null }));
+            const results = await republishLogs({ requests });
+
+            const byLog = {};
+            results.forEach(r => { byLog[r.logId] = r; });
+            this._results = byLog;
+
+            const failed = results.filter(r => !r.success).length;
+            if (failed) {
+                this._toast('Re-publish Incomplete', `${failed} of ${results.length} event(s) failed`, 'warning');
+            } else {
+                this._toast('Re-published', `${results.length} event(s) re-published`, 'success');
+            }
+            this.dispatchEvent(new CustomEvent('republished', { detail: { results } }));
+        } catch (err) {
+            this._toast('Re-publish Failed', err?.body?.message || 'Re-publish failed', 'error');
+        } finally {
+            this.isPublishing = false;
+        }
+    }
+
+    // ── Private helpers ───────────────────────────────────────────────────────
+
+    async _loadDrafts() {
+        this._drafts = [];
+        this._edits = {};
+        this._editing = {};
+        this._results = {};
+        this._invalid = {};
+        this._error = null;
+        if (!this._logIds.length) return;
+
+        // Only the latest selection may update the drafts
+        const seq = ++this._requestSeq;
+        this.isLoading = true;
+        try {
+            const drafts = await getRepublishDrafts({ logIds: this._logIds });
+            if (seq === this._requestSeq) {
+                this._drafts = drafts;
+            }
+        } catch (err) {
+            if (seq === this._requestSeq) {
+                this._error = err?.body?.message || 'Failed to load the selected logs.';
+            }
+        } finally {
+            if (seq === this._requestSeq) {
+                this.isLoading = false;
+            }
+        }
+    }
+
+    _previewValue(d) {
+        const edited = this._edits[d.logId];
+        if (edited === undefined || this._invalid[d.logId]) return d.payload;
+        return edited;
+    }
+
+    _resultText(result) {
+        if (!result.success) return result.errors.join('; ');
+        const warnings = result.errors.length ? ` — ${result.errors.join('; ')}` : '';
+        return `Re-published${result.operationId ? ` (operation ${result.operationId})` : ''}${warnings}`;
+    }
+
+    _toast(title, message, variant) {
+        this.dispatchEvent(new ShowToastEvent({ title, message, variant }));
+    }
+}
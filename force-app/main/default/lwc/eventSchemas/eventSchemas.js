@@ -0,0 +1,91 @@
+/**
+ * eventSchemas
+ *
+ * Service module (no template) that resolves event schema IDs
+ * (data.schema) through PlatformEventSchemas and caches them for the page:
+ * each schema ID is fetched once, whichever component asks first.
+ *
+ * A resolved version is PlatformEventSchemas.SchemaVersion:
+ *   { schemaId, eventApiName, source, firstSeen, fields: [{ name, fieldType, nullable }],
+ *     previousSchemaId, added, removed, retyped: [{ name, fromType, toType }], hasChanges }
+ */
+import resolveSchemaApex from '@salesforce/apex/PlatformEventSchemas.resolveSchema';
+
+// PlatformEventSchemas.SOURCE_EVENT_SCHEMA: fields in Avro schema order
+export const SOURCE_EVENT_SCHEMA = 'Event Schema';
+
+// schemaId → Promise<SchemaVersion>
+const cache = new Map();
+
+/**
+ * Resolves a schema ID, recording it as a new version of the event the first
+ * time it is seen. Failed lookups are not cached so they can be retried.
+ */
+export function resolveSchema(schemaId, channel, eventApiName) {
+    if (!cache.has(schemaId)) {
+        const pending = resolveSchemaApex({ schemaId, channel, eventApiName });
+        cache.set(schemaId, pending);
+        pending.catch(() => cache.delete(schemaId));
+    }
+    return cache.get(schemaId);
+}
+
+export function typeLabel(field) {
+    return field.nullable ? `${field.fieldType}?` : field.fieldType;
+}
+
+/**
+ * Field names in Avro schema order, as CDC field bitmaps index them. Null
+ * for versions read from describe, whose order is alphabetical.
+ */
+export function schemaFieldNames(version) {
+    if (!version || version.source !== SOURCE_EVENT_SCHEMA) return null;
+    return version.fields.map(f => f.name);
+}
+
+/**
+ * One-line summary of a version's changes, e.g.
+ * "added Region__c; removed Legacy__c; Amount__c double → string".
+ */
+export function describeChanges(version) {
+    if (!version || !version.hasChanges) return '';
+    const parts = [];
+    if (version.added.length) {
+        parts.push(`added ${version.added.map(f => f.name).join(', ')}`);
+    }
+    if (version.removed.length) {
+        parts.push(`removed ${version.removed.map(f => f.name).join(', ')}`);
+    }
+    version.retyped.forEach(c => parts.push(`${c.name} ${c.fromType} → ${c.toType}`));
+    return parts.join('; ');
+}
+
+/**
+ * The version's fields as display rows with the payload's value for each
+ * top-level field (as text), flagging payload keys the schema does not
+ * list.
+ */
+export function fieldRows(version, payload) {
+    const data = payload || {};
+    const known = new Set();
+    const rows = (version ? version.fields : []).map(f => {
+        known.add(f.name);
+        const value = data[f.name];
+        return {
+            key     : f.name,
+            name    : f.name,
+            type    : typeLabel(f),
+            value   : value === undefined || value === null ? '' : valuePreview(value),
+            unknown : false
+        };
+    });
+    Object.keys(data).filter(name => !known.has(name)).forEach(name => {
+        rows.push({ key: name, name, type: 'not in schema', value: valuePreview(data[name]), unknown: true });
+    });
+    return rows;
+}
+
+function valuePreview(value) {
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return text.length > 80 ? `${text.slice(0, 79)}…` : text;
+}
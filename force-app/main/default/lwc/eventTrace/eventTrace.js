@@ -0,0 +1,162 @@
+import { LightningElement, api, track } from 'lwc';
+import { NavigationMixin } from 'lightning/navigation';
+import getTrace from '@salesforce/apex/PlatformEventCorrelation.getTrace';
+import { buildTrace, formatElapsed } from 'c/eventCorrelation';
+
+/**
+ * eventTrace
+ *
+ * Trace panel of the Platform Event Monitor and the log explorer: every event
+ * sharing one correlation key, across channels, on a timeline with the time
+ * elapsed since the first hop and since the hop before. Logged events come
+ * from PlatformEventCorrelation.getTrace; the monitor also passes its live
+ * events, so hops not logged yet (or not captured at all) show up too.
+ *
+ * Custom events fired:
+ *   - 'close' : {}
+ */
+export default class EventTrace extends NavigationMixin(LightningElement) {
+
+    // ── Public API ────────────────────────────────────────────────────────────
+
+    @api
+    get correlationKey() {
+        return this._correlationKey;
+    }
+
+    set correlationKey(value) {
+        const changed = value !== this._correlationKey;
+        this._correlationKey = value;
+        this.keyInput = value || '';
+        if (changed && this._connected) {
+            this._loadTrace();
+        }
+    }
+
+    // Monitor event objects carrying `correlationKey`, across all tabs
+    @api liveEvents = [];
+
+    // ── State ─────────────────────────────────────────────────────────────────
+
+    @track _logs        = [];
+    @track _expandedKey = null;
+    @track isLoading    = false;
+    @track _error       = null;
+    @track keyInput     = '';
+
+    _correlationKey = null;
+    _connected = false;
+    _requestSeq = 0;
+
+    // ── Lifecycle ─────────────────────────────────────────────────────────────
+
+    connectedCallback() {
+        this._connected = true;
+        this._loadTrace();
+    }
+
+    disconnectedCallback() {
+        this._connected = false;
+    }
+
+    // ── Computed ──────────────────────────────────────────────────────────────
+
+    get hops() {
+        return buildTrace(this._correlationKey, this.liveEvents, this._logs).map(hop => {
+            const expanded = hop.key === this._expandedKey;
+            return {
+                ...hop,
+                time           : hop.at !== null ? new Date(hop.at).toLocaleString() : '',
+                sinceStart     : formatElapsed(hop.sinceStartMs),
+                sincePrevious  : hop.index > 1 ? formatElapsed(hop.sincePreviousMs) : '',
+                sourceLabel    : hop.source === 'log' ? hop.logName || 'Logged' : 'Live, not logged',
+                hopClass       : hop.source === 'log' ? 'et-hop' : 'et-hop et-hop-live',
+                expanded,
+                toggleIcon     : expanded ? 'utility:chevrondown' : 'utility:chevronright'
+            };
+        });
+    }
+
+    get hasHops() { return this.hops.length > 0; }
+
+    get hopSummary() {
+        const hops = this.hops;
+        const channels = new Set(hops.map(h => h.channel)).size;
+        const total = hops.length > 1 ? hops[hops.length - 1].sinceStart : '';
+        return `${hops.length} event${hops.length === 1 ? '' : 's'} on ${channels} channel${channels === 1 ? '' : 's'}`
+            + (total ? ` · ${total.slice(1)} end to end` : '');
+    }
+
+    get showEmpty()     { return !!this._correlationKey && !this.hasHops && !this.isLoading && !this._error; }
+    get hasError()      { return !!this._error; }
+    get errorMessage()  { return this._error; }
+    get traceDisabled() { return !this.keyInput.trim(); }
+
+    // ── Handlers ──────────────────────────────────────────────────────────────
+
+    handleKeyInput(event) {
+        this.keyInput = event.target.value || '';
+    }
+
+    handleKeyKeyup(event) {
+        if (event.key === 'Enter') {
+            this.handleTrace();
+        }
+    }
+
+    handleTrace() {
+        const key = this.keyInput.trim();
+        if (!key) return;
+        this._correlationKey = key;
+        this._loadTrace();
+    }
+
+    handleToggleHop(event) {
+        const key = event.currentTarget.dataset.key;
+        this._expandedKey = this._expandedKey === key ? null : key;
+    }
+
+    handleOpenRecord(event) {
+        const recordId = event.currentTarget.dataset.recordId;
+        if (!recordId) return;
+        this[NavigationMixin.Navigate]({
+            type: 'standard__recordPage',
+            attributes: { recordId, actionName: 'view' }
+        });
+    }
+
+    handleRefresh() {
+        this._loadTrace();
+    }
+
+    handleClose() {
+        this.dispatchEvent(new CustomEvent('close'));
+    }
+
+    // ── Private helpers ───────────────────────────────────────────────────────
+
+    async _loadTrace() {
+        this._logs = [];
+        this._error = null;
+        this._expandedKey = null;
+        if (!this._correlationKey) return;
+
+        // Only the latest key may update the timeline
+        const seq = ++this._requestSeq;
+        this.isLoading = true;
+        try {
+            const result = await getTrace({ correlationKey: this._correlationKey, recordLimit: null });
+            if (seq === this._requestSeq) {
+                this._logs = result || [];
+            }
+        } catch (err) {
+            if (seq === this._requestSeq) {
+                this._error = err?.body?.message || 'Failed to load the trace.';
+            }
+        } finally {
+            if (seq === this._requestSeq) {
+                this.isLoading = false;
+            }
+        }
+    }
+}
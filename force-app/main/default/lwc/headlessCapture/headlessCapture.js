@@ -0,0 +1,118 @@
+import { LightningElement, api, track, wire } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { refreshApex } from '@salesforce/apex';
+import getHeadlessCaptureInfo from '@salesforce/apex/PlatformEventCaptureHandler.getHeadlessCaptureInfo';
+
+/**
+ * headlessCapture
+ *
+ * Shows whether an event is captured server-side (without an open monitor
+ * tab) and the Apex trigger that enables it. Capture requires both the
+ * generated trigger and an Event_Capture_Rule__mdt for the channel with
+ * Always Capture checked.
+ *
+ * Custom events fired:
+ *   - 'close' : {}
+ */
+export default class HeadlessCapture extends LightningElement {
+
+    // ── Public API ────────────────────────────────────────────────────────────
+
+    @api eventApiName = '';
+    @api channel      = '';
+    @api label        = '';
+
+    // ── State ─────────────────────────────────────────────────────────────────
+
+    @track _info  = null;
+    @track _error = null;
+
+    _wiredInfo;
+
+    // ── Wire ──────────────────────────────────────────────────────────────────
+
+    @wire(getHeadlessCaptureInfo, { eventApiName: '$eventApiName' })
+    wiredInfo(result) {
+        this._wiredInfo = result;
+        if (result.data) {
+            this._info  = result.data;
+            this._error = null;
+        } else if (result.error) {
+            this._error = result.error?.body?.message || 'Failed to load capture status.';
+        }
+    }
+
+    // ── Computed ──────────────────────────────────────────────────────────────
+
+    get title()        { return `Headless Capture · ${this.label || this.eventApiName}`; }
+    get isLoading()    { return !this._info && !this._error; }
+    get hasError()     { return !!this._error; }
+    get errorMessage() { return this._error; }
+    get hasInfo()      { return !!this._info; }
+    get isSupported()  { return !!this._info?.supported; }
+    get triggerName()  { return this._info?.triggerName; }
+    get triggerSource(){ return this._info?.triggerSource; }
+
+    get isCapturing() {
+        return !!(this._info?.alwaysCapture && this._info?.triggerActive);
+    }
+
+    get statusLabel() {
+        return this.isCapturing ? 'Capturing 24/7' : 'Not captured server-side';
+    }
+
+    get statusClass() {
+        return this.isCapturing ? 'hc-status hc-status-on' : 'hc-status hc-status-off';
+    }
+
+    get checklist() {
+        const info = this._info || {};
+        return [
+            {
+                key   : 'rule',
+                done  : !!info.alwaysCapture,
+                text  : info.alwaysCapture
+                    ? `Capture rule for ${info.channel} has Always Capture checked`
+                    : `Add an Event Capture Rule for ${info.channel} (or *) with Always Capture checked`
+            },
+            {
+                key   : 'trigger',
+                done  : !!info.triggerActive,
+                text  : info.triggerActive
+                    ? `Trigger ${info.triggerName} is active`
+                    : info.triggerInstalled
+                        ? `Trigger ${info.triggerName} is installed but inactive`
+                        : `Deploy trigger ${info.triggerName} (source below)`
+            }
+        ].map(item => ({
+            ...item,
+            iconName : item.done ? 'utility:success' : 'utility:warning',
+            rowClass : item.done ? 'hc-check hc-check-done' : 'hc-check hc-check-todo'
+        }));
+    }
+
+    // ── Handlers ──────────────────────────────────────────────────────────────
+
+    handleClose() {
+        this.dispatchEvent(new CustomEvent('close'));
+    }
+
+    handleRefresh() {
+        refreshApex(this._wiredInfo);
+    }
+
+    async handleCopySource() {
+        try {
+            await navigator.clipboard.writeText(this.triggerSource);
+            this._toast('Copied', `${this.triggerName} source copied to clipboard`, 'success');
+        } catch (e) {
+            this._toast('Copy Failed', 'Select the trigger source and copy it manually', 'warning');
+        }
+    }
+
+    // ── Private helpers ───────────────────────────────────────────────────────
+
+    _toast(title, message, variant) {
+        this.dispatchEvent(new ShowToastEvent({ title, message, variant }));
+    }
+}
@@ -0,0 +1,147 @@
+/**
+ * jsonDiff
+ *
+ * Service module (no template) that computes a structural diff of two JSON
+ * values and keeps the pair of payloads selected for comparison.
+ *
+ * diffJson(left, right) returns a tree of nodes mirroring both values:
+ *   { status, children }
+ * where status is 'added' (right only), 'removed' (left only), 'changed'
+ * or 'unchanged', and children (objects and arrays only) maps each key or
+ * index to its own node. A container is 'changed' when any descendant is.
+ * Arrays are compared index by index.
+ *
+ * jsonViewer renders a diff node alongside its value, so two viewers side by
+ * side show the left and right payloads with differing keys highlighted.
+ */
+
+export const DIFF_STATUS = {
+    ADDED     : 'added',
+    REMOVED   : 'removed',
+    CHANGED   : 'changed',
+    UNCHANGED : 'unchanged'
+};
+
+const MAX_PINNED = 2;
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Diff
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Parses JSON strings the way jsonViewer does; other values pass through.
+ */
+export function parseJsonValue(val) {
+    if (typeof val === 'string') {
+        const trimmed = val.trim();
+        if ((trimmed.startsWith('{') && trimmed.endsWith('}')) ||
+            (trimmed.startsWith('[') && trimmed.endsWith(']'))) {
+            try { return JSON.parse(trimmed); } catch (_) { /* fall through */ }
+        }
+    }
+    return val === undefined ? null : val;
+}
+
+function kindOf(v) {
+    if (v === null || v === undefined) return 'null';
+    if (Array.isArray(v)) return 'array';
+    return typeof v;
+}
+
+function diffValues(left, right) {
+    const lk = kindOf(left);
+    const rk = kindOf(right);
+
+    if (lk !== rk || (lk !== 'object' && lk !== 'array')) {
+        return { status: lk === rk && left === right ? DIFF_STATUS.UNCHANGED : DIFF_STATUS.CHANGED };
+    }
+
+    const keys = lk === 'array'
+        ? Array.from({ length: Math.max(left.length, right.length) }, (_, i) => String(i))
+        : [...new Set([...Object.keys(left), ...Object.keys(right)])];
+
+    const children = {};
+    let changed = false;
+    keys.forEach(key => {
+        const inLeft  = Object.prototype.hasOwnProperty.call(left, key);
+        const inRight = Object.prototype.hasOwnProperty.call(right, key);
+        let node;
+        if (inLeft && !inRight) {
+            node = { status: DIFF_STATUS.REMOVED };
+        } else if (!inLeft && inRight) {
+            node = { status: DIFF_STATUS.ADDED };
+        } else {
+            node = diffValues(left[key], right[key]);
+        }
+        if (node.status !== DIFF_STATUS.UNCHANGED) changed = true;
+        children[key] = node;
+    });
+
+    return { status: changed ? DIFF_STATUS.CHANGED : DIFF_STATUS.UNCHANGED, children };
+}
+
+/**
+ * Structural diff of two JSON values (objects, arrays, primitives or JSON
+ * strings). Returns the root diff node.
+ */
+export function diffJson(left, right) {
+    return diffValues(parseJsonValue(left), parseJsonValue(right));
+}
+
+/**
+ * Flattens a diff tree into the leaf-most differences:
+ * [{ path, status }] with dot-separated paths, in document order.
+ */
+export function listChanges(node, path = []) {
+    if (!node || node.status === DIFF_STATUS.UNCHANGED) return [];
+    if (node.status !== DIFF_STATUS.CHANGED || !node.children) {
+        return [{ path: path.join('.') || '(root)', status: node.status }];
+    }
+    return Object.keys(node.children)
+        .reduce((acc, key) => acc.concat(listChanges(node.children[key], [...path, key])), []);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Compare selection
+// ─────────────────────────────────────────────────────────────────────────────
+// Module state is shared by every component on the page, so a payload pinned
+// in the log explorer can be compared with one pinned in the live monitor.
+
+let pinned = [];
+const listeners = new Set();
+
+function notify() {
+    const snapshot = getPinned();
+    listeners.forEach(listener => listener(snapshot));
+}
+
+/**
+ * Pins or unpins a payload for comparison: { key, label, source, value }.
+ * At most two are kept; pinning a third drops the oldest.
+ */
+export function togglePinned(item) {
+    if (pinned.some(p => p.key === item.key)) {
+        pinned = pinned.filter(p => p.key !== item.key);
+    } else {
+        pinned = [...pinned, item].slice(-MAX_PINNED);
+    }
+    notify();
+}
+
+export function clearPinned() {
+    pinned = [];
+    notify();
+}
+
+export function getPinned() {
+    return [...pinned];
+}
+
+/**
+ * Registers a listener called with the pinned list on every change.
+ * Returns a function that removes it.
+ */
+export function subscribePinned(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
@@ -1,15 +1,107 @@
 import { LightningElement, api, track } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+
+// Children of one object or array rendered per page; the rest behind "Show more"
+const PAGE_SIZE = 100;
+
+// Typing pause before the tree is searched
+const SEARCH_DELAY_MS = 250;
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+// Parse JSON strings that hold an object or array; anything else is shown as is
+function parseValue(val) {
+    if (typeof val === 'string') {
+        const trimmed = val.trim();
+        if ((trimmed.startsWith('{') && trimmed.endsWith('}')) ||
+            (trimmed.startsWith('[') && trimmed.endsWith(']'))) {
+            try { return JSON.parse(trimmed); } catch (_) { /* fall through */ }
+        }
+    }
+    return val === undefined ? null : val;
+}
+
+// JSONPath of a child: $.data.payload.Name, $.items[0], $['odd key']
+function childPath(parentPath, key, isArray) {
+    if (isArray) return `${parentPath}[${key}]`;
+    if (IDENTIFIER.test(key)) return `${parentPath}.${key}`;
+    return `${parentPath}['${key.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}']`;
+}
+
+/**
+ * Searches keys and primitive values (case-insensitive) below `value`.
+ * Returns the lower-cased term, the number of matching keys and values, the
+ * paths of containers holding a match (expanded while searching) and the
+ * paths of entries whose key or subtree matches (kept on the visible page).
+ */
+function searchTree(value, term) {
+    const result = { term, count: 0, expand: new Set(), hits: new Set() };
+    const walk = (raw, path) => {
+        const v = parseValue(raw);
+        if (v === null || typeof v !== 'object') {
+            const hit = String(v).toLowerCase().includes(term);
+            if (hit) result.count++;
+            return hit;
+        }
+        const isArray = Array.isArray(v);
+        let found = false;
+        Object.keys(v).forEach(key => {
+            const path2 = childPath(path, key, isArray);
+            let hit = !isArray && key.toLowerCase().includes(term);
+            if (hit) result.count++;
+            if (walk(v[key], path2)) {
+                hit = true;
+            }
+            if (hit) {
+                result.hits.add(path2);
+                found = true;
+            }
+        });
+        if (found) result.expand.add(path);
+        return found;
+    };
+    walk(value, '$');
+    return result;
+}
+
+// Split text into segments with the search matches marked
+function highlight(text, term) {
+    if (!term) return [{ id: 0, text, className: '' }];
+    const lower = text.toLowerCase();
+    const segments = [];
+    let from = 0;
+    let at = lower.indexOf(term);
+    while (at !== -1) {
+        if (at > from) segments.push({ id: segments.length, text: text.slice(from, at), className: '' });
+        segments.push({ id: segments.length, text: text.slice(at, at + term.length), className: 'jv-match' });
+        from = at + term.length;
+        at = lower.indexOf(term, from);
+    }
+    if (from < text.length) segments.push({ id: segments.length, text: text.slice(from), className: '' });
+    return segments;
+}
 
 /**
  * jsonViewer
  *
  * A recursive LWC that renders any JSON value as a collapsible/expandable tree.
  *
+ * The root node has a toolbar to search keys and values — matches are
+ * highlighted and the nodes holding them expanded — and to expand or
+ * collapse every node. Each node can copy its JSON path or its value.
+ * Objects and arrays render PAGE_SIZE children at a time, so large
+ * payloads stay responsive.
+ *
  * Usage:
  *   <c-json-viewer value={myJsonStringOrObject}></c-json-viewer>
  *
- * @api value   - JSON string OR any JS value (object, array, primitive, null)
- * @api depth   - Internal: current nesting depth (auto-incremented by recursion)
+ * @api value        - JSON string OR any JS value (object, array, primitive, null)
+ * @api depth        - Internal: current nesting depth (auto-incremented by recursion)
+ * @api diff         - Optional c/jsonDiff node for this value: keys that differ are
+ *                     highlighted and unchanged subtrees start collapsed
+ * @api path         - Internal: JSONPath of this node ('$' at the root)
+ * @api search       - Internal: the root's search result (see searchTree)
+ * @api expandState  - Internal: the root's last expand/collapse-all command
  */
 export default class JsonViewer extends LightningElement {
 
@@ -27,14 +119,82 @@ export default class JsonViewer extends LightningElement {
 
     set value(val) {
         this._rawValue = val;
-        this._parsed   = this._parse(val);
-        // Auto-expand first two levels for readability
-        this._isExpanded = (this.depth || 0) < 2;
+        this._parsed   = parseValue(val);
+        this._rootSearch = this._searchTerm ? searchTree(this._parsed, this._searchTerm) : null;
+        // Forget manual toggles so the default expansion applies again
+        this._expandedOverride = undefined;
+        this._visibleCount = PAGE_SIZE;
+    }
+
+    @api diff;
+
+    @api path;
+
+    @api
+    get search() {
+        return this._search;
+    }
+
+    set search(val) {
+        if (val !== this._search) {
+            this._expandedOverride = undefined;
+        }
+        this._search = val;
+    }
+
+    @api
+    get expandState() {
+        return this._expandState;
+    }
+
+    set expandState(val) {
+        if (val !== this._expandState) {
+            this._expandedOverride = undefined;
+        }
+        this._expandState = val;
     }
 
     // ── Internal state ────────────────────────────────────────────────────────
 
-    @track _isExpanded = true;
+    // undefined until the user toggles this node
+    @track _expandedOverride;
+    @track _visibleCount = PAGE_SIZE;
+
+    _search;
+    _expandState;
+
+    // Root only: search input, its result and the expand/collapse-all command
+    @track searchInput = '';
+    _searchTerm = '';
+    _rootSearch = null;
+    _rootExpandState;
+    _searchTimer;
+
+    get _isExpanded() {
+        if (this._expandedOverride !== undefined) return this._expandedOverride;
+        // Nodes holding search matches open, then expand/collapse all applies
+        const search = this._activeSearch;
+        if (search && search.expand.has(this._path)) return true;
+        const command = this._activeExpandState;
+        if (command) return command.mode === 'expand';
+        // In diff mode only subtrees with differences start expanded;
+        // otherwise auto-expand the first two levels for readability
+        if (this.diff) return this.diff.status !== 'unchanged';
+        return this._depth < 2;
+    }
+
+    get _depth()  { return Number(this.depth) || 0; }
+    get _path()   { return this.path || '$'; }
+    get isRoot()  { return this._depth === 0; }
+
+    get _activeSearch() {
+        // The root searches once per term and value; child nodes share the result
+        return this.isRoot ? this._rootSearch : this._search;
+    }
+
+    get _activeExpandState() {
+        return this.isRoot ? this._rootExpandState : this._expandState;
+    }
 
     // ── Type helpers ──────────────────────────────────────────────────────────
 
@@ -53,8 +213,7 @@ export default class JsonViewer extends LightningElement {
     // ── Computed props for the template ──────────────────────────────────────
 
     get containerClass() {
-        const d = this.depth || 0;
-        return `jv-node jv-depth-${Math.min(d, 10)}`;
+        return `jv-node jv-depth-${Math.min(this._depth, 10)}`;
     }
 
     get primitiveClass() {
@@ -75,37 +234,49 @@ export default class JsonViewer extends LightningElement {
         return String(v);
     }
 
+    get displaySegments() {
+        return highlight(this.displayValue, this._activeSearch?.term);
+    }
+
     get openBracket()  { return this._type === 'array' ? '[' : '{'; }
     get closeBracket() { return this._type === 'array' ? ']' : '}'; }
 
     get entries() {
+        if (!this.isComplex) return [];
         const v = this._parsed;
-        if (this._type === 'object') {
-            const keys = Object.keys(v);
-            return keys.map((key, idx) => ({
-                id:         `o-${this.depth}-${idx}-${key}`,
-                displayKey: key,
-                value:      v[key],
-                showKey:    true,
-                hasComma:   idx < keys.length - 1
+        const isArray = this._type === 'array';
+        const keys = isArray ? null : Object.keys(v);
+        const total = isArray ? v.length : keys.length;
+        const shown = Math.min(total, this._shownCount);
+        const term = this._activeSearch?.term;
+        const result = [];
+        for (let idx = 0; idx < shown; idx++) {
+            const key = isArray ? String(idx) : keys[idx];
+            result.push(this._entry({
+                id:          isArray ? `a-${this._depth}-${idx}` : `o-${this._depth}-${idx}-${key}`,
+                displayKey:  key,
+                keySegments: isArray ? null : highlight(key, term),
+                path:        childPath(this._path, key, isArray),
+                value:       isArray ? v[idx] : v[key],
+                showKey:     !isArray,
+                hasComma:    idx < total - 1
             }));
         }
-        if (this._type === 'array') {
-            return v.map((item, idx) => ({
-                id:         `a-${this.depth}-${idx}`,
-                displayKey: String(idx),
-                value:      item,
-                showKey:    false,
-                hasComma:   idx < v.length - 1
-            }));
-        }
-        return [];
+        return result;
     }
 
     get childDepth() {
-        return (this.depth || 0) + 1;
+        return this._depth + 1;
     }
 
+    get childSearch()      { return this._activeSearch; }
+    get childExpandState() { return this._activeExpandState; }
+
+    get hasMore()      { return this._childCount > this._shownCount; }
+    get moreLabel()    { return `Show ${Math.min(PAGE_SIZE, this._remaining)} more`; }
+    get showAllLabel() { return `Show all ${this._childCount}`; }
+    get moreSummary()  { return `${this._remaining} of ${this._childCount} not shown`; }
+
     get collapsedPreview() {
         const v = this._parsed;
         if (this._type === 'array') {
@@ -133,22 +304,121 @@ export default class JsonViewer extends LightningElement {
         return this._isExpanded ? 'jv-icon jv-icon-down' : 'jv-icon jv-icon-right';
     }
 
+    get copyPathTitle() { return `Copy path ${this._path}`; }
+
+    // Root toolbar
+    get showToolbar() { return this.isRoot && this.isComplex; }
+    get hasSearch()   { return !!this._searchTerm; }
+
+    get matchCountLabel() {
+        const n = this._activeSearch?.count || 0;
+        if (n === 0) return 'No matches';
+        return `${n} match${n !== 1 ? 'es' : ''}`;
+    }
+
     // ── Event handlers ────────────────────────────────────────────────────────
 
     handleToggle() {
-        this._isExpanded = !this._isExpanded;
+        this._expandedOverride = !this._isExpanded;
+    }
+
+    handleShowMore() {
+        this._visibleCount = this._shownCount + PAGE_SIZE;
+    }
+
+    handleShowAll() {
+        this._visibleCount = this._childCount;
+    }
+
+    handleSearchInput(event) {
+        this.searchInput = event.target.value;
+        clearTimeout(this._searchTimer);
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this._searchTimer = setTimeout(() => {
+            this._searchTerm = (this.searchInput || '').trim().toLowerCase();
+            this._rootSearch = this._searchTerm ? searchTree(this._parsed, this._searchTerm) : null;
+            this._expandedOverride = undefined;
+        }, SEARCH_DELAY_MS);
+    }
+
+    handleExpandAll() {
+        this._expandAll('expand');
+    }
+
+    handleCollapseAll() {
+        this._expandAll('collapse');
+    }
+
+    handleCopyPath() {
+        this._copy(this._path, 'Path');
+    }
+
+    handleCopyValue() {
+        const v = this._parsed;
+        const text = this.isComplex ? JSON.stringify(v, null, 2) : String(v);
+        this._copy(text, 'Value');
+    }
+
+    disconnectedCallback() {
+        clearTimeout(this._searchTimer);
     }
 
     // ── Helpers ───────────────────────────────────────────────────────────────
 
-    _parse(val) {
-        if (typeof val === 'string') {
-            const trimmed = val.trim();
-            if ((trimmed.startsWith('{') && trimmed.endsWith('}')) ||
-                (trimmed.startsWith('[') && trimmed.endsWith(']'))) {
-                try { return JSON.parse(trimmed); } catch (_) { /* fall through */ }
+    get _childCount() {
+        if (this._type === 'array')  return this._parsed.length;
+        if (this._type === 'object') return Object.keys(this._parsed).length;
+        return 0;
+    }
+
+    get _remaining() {
+        return this._childCount - this._shownCount;
+    }
+
+    // The visible page, widened to reach the last child holding a search match
+    get _shownCount() {
+        const search = this._activeSearch;
+        const total = this._childCount;
+        if (!search || total <= this._visibleCount) return this._visibleCount;
+        const isArray = this._type === 'array';
+        const keys = isArray ? null : Object.keys(this._parsed);
+        for (let idx = total - 1; idx >= this._visibleCount; idx--) {
+            const key = isArray ? String(idx) : keys[idx];
+            if (search.hits.has(childPath(this._path, key, isArray))) {
+                return idx + 1;
             }
         }
-        return val === undefined ? null : val;
+        return this._visibleCount;
+    }
+
+    _expandAll(mode) {
+        this._expandedOverride = undefined;
+        this._rootExpandState = { mode };
+    }
+
+    async _copy(text, what) {
+        try {
+            await navigator.clipboard.writeText(text);
+            this.dispatchEvent(new ShowToastEvent({ title: 'Copied', message: `${what} copied to clipboard`, variant: 'success' }));
+        } catch (e) {
+            this.dispatchEvent(new ShowToastEvent({ title: 'Copy Failed', message: `The ${what.toLowerCase()} could not be copied`, variant: 'warning' }));
+        }
+    }
+
+    // Attach the child's diff node and highlight class (diff mode only)
+    _entry(entry) {
+        const childDiff = this.diff && this.diff.children
+            ? this.diff.children[entry.displayKey]
+            : undefined;
+        const status = childDiff ? childDiff.status : 'unchanged';
+        // Changed containers only mark their key; the differing leaves inside
+        // carry the highlight
+        const isChangedContainer = status === 'changed' && !!childDiff.children;
+        return {
+            ...entry,
+            diff:       childDiff,
+            entryClass: status !== 'unchanged' && !isChangedContainer ? `jv-entry jv-diff-${status}` : 'jv-entry',
+            keyClass:   isChangedContainer ? 'jv-key jv-diff-key-changed' : 'jv-key'
+        };
     }
 }
@@ -0,0 +1,509 @@
+import { LightningElement, api, track, wire } from 'lwc';
+import { NavigationMixin, CurrentPageReference } from 'lightning/navigation';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import { refreshApex } from '@salesforce/apex';
+import searchLogs          from '@salesforce/apex/PlatformEventLogController.searchLogs';
+import getLogFilterOptions from '@salesforce/apex/PlatformEventLogController.getLogFilterOptions';
+import { togglePinned, clearPinned, getPinned, subscribePinned } from 'c/jsonDiff';
+import { parseChangeEvent } from 'c/cdcPayload';
+import { EXPORT_FORMATS, fromLogRecord, buildExport, downloadFile } from 'c/eventExport';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────────────────────────────────────
+
+const ALL = '';
+
+const EVENT_TYPES   = ['Custom Platform Event', 'Change Data Capture', 'Standard Platform Event'];
+const CHANGE_TYPES  = ['CREATE', 'UPDATE', 'DELETE', 'UNDELETE',
+                       'GAP_CREATE', 'GAP_UPDATE', 'GAP_DELETE', 'GAP_UNDELETE', 'GAP_OVERFLOW'];
+const STATUSES      = ['Received', 'Processed', 'Error'];
+
+// Exports page through the whole query, up to EXPORT_MAX_RECORDS logs
+const EXPORT_PAGE_SIZE   = 200;
+const EXPORT_MAX_RECORDS = 10000;
+
+const STATUS_CLASS = {
+    Received  : 'le-status le-status-received',
+    Processed : 'le-status le-status-processed',
+    Error     : 'le-status le-status-error'
+};
+
+const EMPTY_FILTERS = {
+    startDate  : null,
+    endDate    : null,
+    channel    : ALL,
+    eventType  : ALL,
+    entityName : ALL,
+    changeType : ALL,
+    status     : ALL,
+    searchText : ''
+};
+
+function toOptions(values, allLabel) {
+    return [{ label: allLabel, value: ALL }, ...values.map(v => ({ label: v, value: v }))];
+}
+
+function formatDate(isoString) {
+    if (!isoString) return '';
+    try {
+        return new Date(isoString).toLocaleString();
+    } catch (_) { return isoString; }
+}
+
+/**
+ * logExplorer
+ *
+ * Searches Platform_Event_Log__c history through
+ * PlatformEventLogController.searchLogs: date range, channel, event type,
+ * CDC entity / change type, status and full-text payload search, paged with
+ * the cursor returned by each page ("Load more").
+ *
+ * The initial channel filter comes from the `channel` property or the
+ * c__channel page state (and the status filter from c__status), so the
+ * monitor can link straight to a channel's history or unresolved errors.
+ * Export writes every log matching the current filters (not just the
+ * loaded pages) through c/eventExport. Custom event logs can be
+ * re-published from the detail pane through c/eventRepublisher, and a log
+ * with a correlation key opens the events sharing it in c/eventTrace.
+ * Checked rows, or the selected log, are marked Processed or Error through
+ * c/logTriage.
+ */
+export default class LogExplorer extends NavigationMixin(LightningElement) {
+
+    // ── Public API ────────────────────────────────────────────────────────────
+
+    @api pageSize = 50;
+
+    @api
+    get channel() {
+        return this._filters.channel;
+    }
+
+    set channel(value) {
+        this._filters = { ...this._filters, channel: value || ALL };
+    }
+
+    // ── State ─────────────────────────────────────────────────────────────────
+
+    @track _filters   = { ...EMPTY_FILTERS };
+    @track _records   = [];
+    @track _options   = { channels: [], entities: [] };
+    @track selectedId = null;
+    @track showEnvelope = false;
+    @track isLoading  = false;
+    @track hasMore    = false;
+    @track searchTruncated = false;
+    @track isExporting = false;
+
+    // Log Ids open in the Re-publish panel
+    @track republishIds = null;
+
+    // Logs open in the status panel: { logIds, status, errorMessage },
+    // and the rows checked for a bulk status change
+    @track triageTarget = null;
+    @track _checkedIds  = {};
+
+    // Correlation key open in the Trace panel
+    @track traceKey   = null;
+    @track _error     = null;
+
+    // Payloads pinned for comparison, shared with the monitor through
+    // c/jsonDiff so a log can be diffed against a live message
+    @track _pinned = [];
+    _unsubscribePinned = null;
+
+    _cursor = null;
+    _requestSeq = 0;
+    _wiredOptions;
+    _initialized = false;
+
+    // ── Wire ──────────────────────────────────────────────────────────────────
+
+    @wire(CurrentPageReference)
+    wiredPageRef(pageRef) {
+        const channel = pageRef?.state?.c__channel;
+        const status = pageRef?.state?.c__status;
+        const changes = {};
+        if (channel && channel !== this._filters.channel) changes.channel = channel;
+        if (status && STATUSES.includes(status) && status !== this._filters.status) changes.status = status;
+        if (Object.keys(changes).length) {
+            this._filters = { ...this._filters, ...changes };
+            if (this._initialized) {
+                this._search();
+            }
+        }
+    }
+
+    @wire(getLogFilterOptions)
+    wiredOptions(result) {
+        this._wiredOptions = result;
+        if (result.data) {
+            this._options = {
+                channels : result.data.channels || [],
+                entities : result.data.entities || []
+            };
+        }
+    }
+
+    // ── Lifecycle ─────────────────────────────────────────────────────────────
+
+    connectedCallback() {
+        this._initialized = true;
+        this._pinned = getPinned();
+        this._unsubscribePinned = subscribePinned(pinned => { this._pinned = pinned; });
+        this._search();
+    }
+
+    disconnectedCallback() {
+        if (this._unsubscribePinned) {
+            this._unsubscribePinned();
+        }
+    }
+
+    // ── Computed ──────────────────────────────────────────────────────────────
+
+    get filters()      { return this._filters; }
+    get hasError()     { return !!this._error; }
+    get errorMessage() { return this._error; }
+    get hasRecords()   { return this._records.length > 0; }
+    get noResults()    { return !this.isLoading && !this.hasRecords && !this.hasError; }
+    get showLoadMore() { return this.hasMore && !this.isLoading; }
+
+    get channelOptions() {
+        const channels = [...this._options.channels];
+        // Keep a preset channel selectable even before it has logs
+        if (this._filters.channel && !channels.includes(this._filters.channel)) {
+            channels.unshift(this._filters.channel);
+        }
+        return toOptions(channels, 'All channels');
+    }
+
+    get entityOptions()     { return toOptions(this._options.entities, 'All entities'); }
+    get eventTypeOptions()  { return toOptions(EVENT_TYPES, 'All types'); }
+    get changeTypeOptions() { return toOptions(CHANGE_TYPES, 'All change types'); }
+    get statusOptions()     { return toOptions(STATUSES, 'All statuses'); }
+
+    get resultLabel() {
+        const n = this._records.length;
+        const more = this.hasMore ? '+' : '';
+        return `${n}${more} log${n === 1 ? '' : 's'}`;
+    }
+
+    get rows() {
+        return this._records.map(r => ({
+            id          : r.Id,
+            name        : r.Name,
+            created     : formatDate(r.CreatedDate),
+            channel     : r.Channel__c,
+            apiName     : r.Event_API_Name__c,
+            cdcLabel    : r.Entity_Name__c ? `${r.Entity_Name__c} · ${r.Change_Type__c || ''}` : '',
+            replayId    : r.Replay_ID__c,
+            status      : r.Subscription_Status__c,
+            statusClass : STATUS_CLASS[r.Subscription_Status__c] || 'le-status',
+            checked     : !!this._checkedIds[r.Id],
+            rowClass    : r.Id === this.selectedId ? 'le-row le-row-selected' : 'le-row'
+        }));
+    }
+
+    get selectedLog() {
+        const r = this._records.find(rec => rec.Id === this.selectedId);
+        if (!r) return null;
+        return {
+            id           : r.Id,
+            name         : r.Name,
+            channel      : r.Channel__c,
+            apiName      : r.Event_API_Name__c,
+            eventType    : r.Event_Type__c,
+            replayId     : r.Replay_ID__c,
+            schemaId     : r.Schema_ID__c,
+            publishedBy  : r.Published_By_ID__c,
+            published    : formatDate(r.Event_Published_Date__c),
+            created      : formatDate(r.CreatedDate),
+            status       : r.Subscription_Status__c,
+            errorMessage : r.Error_Message__c,
+            changedFields: r.Changed_Fields__c,
+            nulledFields : r.Nulled_Fields__c,
+            diffFields   : r.Diff_Fields__c,
+            correlationKey: r.Correlation_Key__c,
+            isCdc        : !!r.Change_Type__c,
+            payload      : r.Payload__c,
+            cdcRecordId  : this._timelineRecordId(r),
+            // Logs of a custom channel (…__chn) are not tied to one event type
+            canRepublish : r.Event_Type__c === 'Custom Platform Event' && !(r.Event_API_Name__c || '').endsWith('__chn'),
+            originalId   : r.Republished_From__c,
+            originalName : r.Republished_From__r ? r.Republished_From__r.Name : r.Republished_From__c,
+            viewerValue  : this.showEnvelope ? r.Header_Data__c : r.Payload__c
+        };
+    }
+
+    get hasSelection()      { return !!this.selectedLog; }
+    get selectedPinned()    { return this._pinned.some(p => p.key === `log:${this.selectedId}`); }
+    get pinLabel()          { return this.selectedPinned ? 'Remove from Compare' : 'Compare'; }
+    get pinVariant()        { return this.selectedPinned ? 'brand' : 'neutral'; }
+    get hasPinned()         { return this._pinned.length > 0; }
+    get canCompare()        { return this._pinned.length === 2; }
+    get compareLeft()       { return this._pinned[0]; }
+    get compareRight()      { return this._pinned[1]; }
+    get pinnedLabel()       { return this._pinned.length ? this._pinned[0].label : ''; }
+    get checkedIds()        { return this._records.filter(r => this._checkedIds[r.Id]).map(r => r.Id); }
+    get noneChecked()       { return this.checkedIds.length === 0; }
+    get triageLabel()       { return `Set status (${this.checkedIds.length})`; }
+    get envelopeLabel()     { return this.showEnvelope ? 'Show payload' : 'Show envelope'; }
+    get viewerLabel()       { return this.showEnvelope ? 'Envelope' : 'Payload'; }
+
+    // ── Handlers: filters ─────────────────────────────────────────────────────
+
+    handleFilterChange(event) {
+        const name = event.target.dataset.filter;
+        const value = event.detail.value;
+        this._filters = { ...this._filters, [name]: value || (name.endsWith('Date') ? null : ALL) };
+        this._search();
+    }
+
+    handleSearchCommit(event) {
+        const searchText = (event.target.value || '').trim();
+        if (searchText === this._filters.searchText) return;
+        this._filters = { ...this._filters, searchText };
+        this._search();
+    }
+
+    handleReset() {
+        this._filters = { ...EMPTY_FILTERS };
+        this._search();
+    }
+
+    handleRefresh() {
+        refreshApex(this._wiredOptions);
+        this._search();
+    }
+
+    handleLoadMore() {
+        this._load(false);
+    }
+
+    // ── Handlers: export ──────────────────────────────────────────────────────
+
+    async handleExport(event) {
+        const format = event.detail.value;
+        if (this.isExporting) return;
+        this.isExporting = true;
+        try {
+            const records = [];
+            let cursor = null;
+            let page;
+            do {
+                // eslint-disable-next-line no-await-in-loop
+                page = await searchLogs({ query: this._buildQuery(cursor, EXPORT_PAGE_SIZE) });
+                records.push(...page.records);
+                cursor = page.nextCursor;
+            } while (page.hasMore && records.length < EXPORT_MAX_RECORDS);
+
+            if (!records.length) {
+                this._toast('Nothing to Export', 'No logs match the current filters', 'info');
+                return;
+            }
+
+            // Pages come newest first; exports run oldest first
+            const exported = records.slice(0, EXPORT_MAX_RECORDS).reverse().map(fromLogRecord);
+            const source = { type: 'logs', query: { ...this._filters } };
+            downloadFile(buildExport(format, exported, source, `logs-${this._filters.channel || 'all'}`));
+
+            const truncated = page.hasMore || records.length > EXPORT_MAX_RECORDS;
+            this._toast('Exported',
+                `${exported.length} log(s) exported as ${EXPORT_FORMATS[format].label}` +
+                (truncated ? ` — limited to the newest ${EXPORT_MAX_RECORDS}; narrow the filters for older logs` : ''),
+                truncated ? 'warning' : 'success');
+        } catch (err) {
+            this._toast('Export Failed', err?.body?.message || err.message || 'Export failed', 'error');
+        } finally {
+            this.isExporting = false;
+        }
+    }
+
+    // ── Handlers: results ─────────────────────────────────────────────────────
+
+    handleSelect(event) {
+        const id = event.currentTarget.dataset.id;
+        this.selectedId = this.selectedId === id ? null : id;
+    }
+
+    handleCheck(event) {
+        const id = event.target.dataset.id;
+        this._checkedIds = { ...this._checkedIds, [id]: event.target.checked };
+    }
+
+    // Checking a row must not also select it
+    handleCheckClick(event) {
+        event.stopPropagation();
+    }
+
+    handleToggleEnvelope() {
+        this.showEnvelope = !this.showEnvelope;
+    }
+
+    handleOpenRecord(event) {
+        const recordId = event.currentTarget.dataset.recordId || this.selectedId;
+        if (!recordId) return;
+        this[NavigationMixin.Navigate]({
+            type: 'standard__recordPage',
+            attributes: { recordId, actionName: 'view' }
+        });
+    }
+
+    handleOpenTimeline() {
+        const recordId = this.selectedLog?.cdcRecordId;
+        if (!recordId) return;
+        this[NavigationMixin.Navigate]({
+            type: 'standard__navItemPage',
+            attributes: { apiName: 'Platform_Event_Record_Timeline' },
+            state: { c__recordId: recordId }
+        });
+    }
+
+    // ── Handlers: re-publish ──────────────────────────────────────────────────
+
+    handleOpenRepublish() {
+        if (!this.selectedId) return;
+        this.republishIds = [this.selectedId];
+    }
+
+    handleCloseRepublish() {
+        this.republishIds = null;
+    }
+
+    handleRepublished() {
+        // Show the new logs linked to their originals
+        this._search();
+    }
+
+    // ── Handlers: status triage ───────────────────────────────────────────────
+
+    handleTriageChecked() {
+        const logIds = this.checkedIds;
+        if (!logIds.length) return;
+        this.triageTarget = { logIds, status: 'Processed', errorMessage: '' };
+    }
+
+    handleOpenTriage() {
+        const r = this._records.find(rec => rec.Id === this.selectedId);
+        if (!r) return;
+        this.triageTarget = {
+            logIds       : [r.Id],
+            status       : r.Subscription_Status__c,
+            errorMessage : r.Error_Message__c || ''
+        };
+    }
+
+    handleCloseTriage() {
+        this.triageTarget = null;
+    }
+
+    handleTriaged(event) {
+        const { logIds, status, errorMessage } = event.detail;
+        const updatedIds = new Set(logIds);
+        this._records = this._records.map(r => (updatedIds.has(r.Id)
+            ? { ...r, Subscription_Status__c: status, Error_Message__c: errorMessage || null }
+            : r));
+        this._checkedIds = {};
+    }
+
+    // ── Handlers: trace ───────────────────────────────────────────────────────
+
+    handleOpenTrace() {
+        this.traceKey = this.selectedLog?.correlationKey || null;
+    }
+
+    handleCloseTrace() {
+        this.traceKey = null;
+    }
+
+    // ── Handlers: compare ─────────────────────────────────────────────────────
+
+    handleTogglePin() {
+        const r = this._records.find(rec => rec.Id === this.selectedId);
+        if (!r) return;
+        togglePinned({
+            key    : `log:${r.Id}`,
+            label  : `${r.Name} · ${r.Channel__c} · replay ${r.Replay_ID__c || '—'}`,
+            source : 'log',
+            value  : r.Payload__c
+        });
+    }
+
+    handleClearCompare() {
+        clearPinned();
+    }
+
+    // ── Private helpers ───────────────────────────────────────────────────────
+
+    _search() {
+        this._cursor = null;
+        this.selectedId = null;
+        this._checkedIds = {};
+        this._load(true);
+    }
+
+    async _load(reset) {
+        const f = this._filters;
+        if (f.searchText && f.searchText.length < 2) {
+            this._error = 'Search text must be at least 2 characters.';
+            return;
+        }
+
+        // Only the latest request may update the results
+        const seq = ++this._requestSeq;
+        this.isLoading = true;
+        this._error = null;
+        try {
+            const page = await searchLogs({
+                query: this._buildQuery(reset ? null : this._cursor, this.pageSize)
+            });
+            if (seq !== this._requestSeq) return;
+
+            this._records = reset ? page.records : [...this._records, ...page.records];
+            this._cursor = page.nextCursor;
+            this.hasMore = page.hasMore;
+            this.searchTruncated = page.searchTruncated;
+        } catch (err) {
+            if (seq !== this._requestSeq) return;
+            this._error = err?.body?.message || 'Failed to load logs.';
+            if (reset) {
+                this._records = [];
+                this.hasMore = false;
+            }
+            this._toast('Error', this._error, 'error');
+        } finally {
+            if (seq === this._requestSeq) {
+                this.isLoading = false;
+            }
+        }
+    }
+
+    _buildQuery(cursor, pageSize) {
+        const f = this._filters;
+        return {
+            channel    : f.channel || null,
+            eventType  : f.eventType || null,
+            entityName : f.entityName || null,
+            changeType : f.changeType || null,
+            status     : f.status || null,
+            startDate  : f.startDate || null,
+            endDate    : f.endDate || null,
+            searchText : f.searchText || null,
+            cursor,
+            pageSize
+        };
+    }
+
+    // First record Id of a CDC log's header, for the record timeline
+    _timelineRecordId(r) {
+        if (r.Event_Type__c !== 'Change Data Capture') return null;
+        const recordIds = parseChangeEvent(r.Payload__c).header.recordIds || [];
+        return recordIds.find(id => !String(id).endsWith('*')) || null;
+    }
+
+    _toast(title, message, variant) {
+        this.dispatchEvent(new ShowToastEvent({ title, message, variant }));
+    }
+}
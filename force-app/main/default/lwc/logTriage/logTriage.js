@@ -0,0 +1,120 @@
+import { LightningElement, api, track } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import updateLogStatuses from '@salesforce/apex/PlatformEventLogController.updateLogStatuses';
+
+const STATUS_OPTIONS = [
+    { label: 'Processed', value: 'Processed' },
+    { label: 'Error',     value: 'Error' },
+    { label: 'Received',  value: 'Received' }
+];
+
+/**
+ * logTriage
+ *
+ * Sets the subscription status of one or more logged events through
+ * PlatformEventLogController.updateLogStatuses: Processed, Error with a
+ * message, or back to Received. Opened from the monitor (selected live
+ * events or one event card) and from the log explorer.
+ *
+ * Custom events fired:
+ *   - 'updated' : { detail: { logIds, status, errorMessage, count } }
+ *   - 'close'   : {}
+ */
+export default class LogTriage extends LightningElement {
+
+    // ── Public API ────────────────────────────────────────────────────────────
+
+    @api
+    get logIds() {
+        return this._logIds;
+    }
+
+    set logIds(value) {
+        this._logIds = Array.isArray(value) ? [...value] : [];
+        this._error = null;
+    }
+
+    // Status to preselect, e.g. the current status of a single log
+    @api
+    get status() {
+        return this._status;
+    }
+
+    set status(value) {
+        this._status = value === 'Error' ? 'Error' : 'Processed';
+    }
+
+    // Current error message of a single log, to edit rather than retype
+    @api
+    get errorMessage() {
+        return this._message;
+    }
+
+    set errorMessage(value) {
+        this._message = value || '';
+    }
+
+    // ── State ─────────────────────────────────────────────────────────────────
+
+    @track _status   = 'Processed';
+    @track _message  = '';
+    @track isSaving  = false;
+    @track _error    = null;
+
+    _logIds = [];
+
+    // ── Computed ──────────────────────────────────────────────────────────────
+
+    get statusOptions()   { return STATUS_OPTIONS; }
+    get selectedStatus()  { return this._status; }
+    get message()         { return this._message; }
+    get isError()         { return this._status === 'Error'; }
+    get hasError()        { return !!this._error; }
+    get errorText()       { return this._error; }
+    get saveDisabled()    { return this.isSaving || this._logIds.length === 0; }
+
+    get title() {
+        const n = this._logIds.length;
+        return `Set status of ${n} log${n === 1 ? '' : 's'}`;
+    }
+
+    // ── Handlers ──────────────────────────────────────────────────────────────
+
+    handleStatusChange(event) {
+        this._status = event.detail.value;
+    }
+
+    handleMessageChange(event) {
+        this._message = event.detail.value;
+    }
+
+    async handleSave() {
+        if (this.saveDisabled) return;
+        const logIds = [...this._logIds];
+        const status = this._status;
+        const errorMessage = this.isError ? (this._message || '').trim() : null;
+
+        this.isSaving = true;
+        this._error = null;
+        try {
+            const count = await updateLogStatuses({ logIds, status, errorMessage });
+            this._toast('Status Updated', `${count} log${count === 1 ? '' : 's'} marked ${status}`, 'success');
+            this.dispatchEvent(new CustomEvent('updated', { detail: { logIds, status, errorMessage, count } }));
+            this.dispatchEvent(new CustomEvent('close'));
+        } catch (err) {
+            this._error = err?.body?.message || 'Failed to update the status.';
+        } finally {
+            this.isSaving = false;
+        }
+    }
+
+    handleClose() {
+        this.dispatchEvent(new CustomEvent('close'));
+    }
+
+    // ── Private helpers ───────────────────────────────────────────────────────
+
+    _toast(title, message, variant) {
+        this.dispatchEvent(new ShowToastEvent({ title, message, variant }));
+    }
+}
@@ -0,0 +1,126 @@
+/**
+ * monitorWorkspace
+ *
+ * Service module (no template) that turns the monitor's session state into
+ * a workspace configuration (Monitor_Workspace__c.Config__c) and reads one
+ * back:
+ *   {
+ *     version, searchTerm, selectedType, activeTab,
+ *     channels: [{ channel, apiName, eventType, replay: { mode, replayId }, filter, bufferSize }]
+ *   }
+ * Only live subscriptions are saved; imported (offline) tabs are not.
+ */
+
+export const WORKSPACE_VERSION = 1;
+
+const REPLAY_MODES = new Set(['tip', 'all', 'custom', 'resume']);
+
+export class WorkspaceFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'WorkspaceFormatError';
+    }
+}
+
+function text(value) {
+    return typeof value === 'string' ? value : '';
+}
+
+// Same classification as PlatformEventService / c/eventExport
+function eventTypeFor(apiName) {
+    const lower = String(apiName || '').toLowerCase();
+    if (lower.endsWith('__e')) return 'Custom Platform Event';
+    if (lower.endsWith('changeevent')) return 'Change Data Capture';
+    return 'Standard Platform Event';
+}
+
+/**
+ * Builds the configuration of the current session from the monitor's
+ * subscriptions (channel → subscription), replay settings (channel →
+ * { mode, replayId }), catalog filters and active tab.
+ */
+export function captureWorkspace({ subscriptions, replaySettings, searchTerm, selectedType, activeTab }) {
+    const channels = Object.values(subscriptions || {})
+        .filter(sub => !sub.offline)
+        .map(sub => {
+            const replay = (replaySettings || {})[sub.channel] || {};
+            return {
+                channel    : sub.channel,
+                apiName    : sub.apiName,
+                eventType  : sub.eventType,
+                replay     : {
+                    mode     : replay.mode || 'tip',
+                    replayId : replay.mode === 'custom' ? String(replay.replayId || '') : ''
+                },
+                filter     : sub.filter || '',
+                bufferSize : sub.bufferSize || null
+            };
+        });
+    return {
+        version      : WORKSPACE_VERSION,
+        searchTerm   : searchTerm || '',
+        selectedType : selectedType || 'All',
+        activeTab    : channels.some(c => c.channel === activeTab) ? activeTab : null,
+        channels
+    };
+}
+
+/**
+ * Returns a copy of a read configuration with one channel's live filter
+ * replaced, or null when the workspace does not list the channel.
+ */
+export function setChannelFilter(config, channel, filter) {
+    if (!config || !config.channels.some(c => c.channel === channel)) {
+        return null;
+    }
+    return {
+        ...config,
+        channels: config.channels.map(c => (c.channel === channel ? { ...c, filter: filter || '' } : c))
+    };
+}
+
+/**
+ * Parses and normalizes a saved configuration (JSON string or object).
+ * Unknown replay modes fall back to the tip, a missing event type is
+ * derived from the API name, a missing buffer size is null (the monitor's
+ * default), and channel entries without a channel name are dropped.
+ */
+export function readWorkspace(config) {
+    let root = config;
+    if (typeof config === 'string') {
+        try {
+            root = JSON.parse(config);
+        } catch (e) {
+            throw new WorkspaceFormatError(`Workspace configuration is not valid JSON: ${e.message}`);
+        }
+    }
+    if (!root || typeof root !== 'object' || !Array.isArray(root.channels)) {
+        throw new WorkspaceFormatError('Workspace configuration needs a channels list.');
+    }
+    if (root.version > WORKSPACE_VERSION) {
+        throw new WorkspaceFormatError(`Workspace version ${root.version} is newer than this monitor supports.`);
+    }
+
+    const channels = root.channels
+        .filter(c => c && text(c.channel))
+        .map(c => {
+            const replay = c.replay || {};
+            const mode = REPLAY_MODES.has(replay.mode) ? replay.mode : 'tip';
+            const apiName = text(c.apiName) || c.channel.split('/').pop();
+            return {
+                channel    : c.channel,
+                apiName,
+                eventType  : text(c.eventType) || eventTypeFor(apiName),
+                replay     : { mode, replayId: mode === 'custom' ? String(replay.replayId || '') : '' },
+                filter     : text(c.filter),
+                bufferSize : Number.isInteger(c.bufferSize) && c.bufferSize > 0 ? c.bufferSize : null
+            };
+        });
+    return {
+        version      : WORKSPACE_VERSION,
+        searchTerm   : text(root.searchTerm),
+        selectedType : text(root.selectedType) || 'All',
+        activeTab    : text(root.activeTab) || null,
+        channels
+    };
+}
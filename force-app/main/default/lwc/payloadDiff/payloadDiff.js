@@ -0,0 +1,88 @@
+import { LightningElement, api, track } from 'lwc';
+import { diffJson, listChanges, DIFF_STATUS } from 'c/jsonDiff';
+
+const STATUS_LABEL = {
+    [DIFF_STATUS.ADDED]   : 'Added',
+    [DIFF_STATUS.REMOVED] : 'Removed',
+    [DIFF_STATUS.CHANGED] : 'Changed'
+};
+
+/**
+ * payloadDiff
+ *
+ * Side-by-side structural diff of two JSON payloads, rendered as two
+ * jsonViewer trees with a c/jsonDiff node: keys only on the left are red,
+ * keys only on the right green, changed values amber, and unchanged
+ * subtrees start collapsed.
+ *
+ * Custom events fired:
+ *   - 'close' : {}
+ */
+export default class PayloadDiff extends LightningElement {
+
+    // ── Public API ────────────────────────────────────────────────────────────
+
+    @api leftLabel  = 'Left';
+    @api rightLabel = 'Right';
+
+    @api
+    get leftValue() { return this._left; }
+    set leftValue(val) {
+        this._left = val;
+        this._computeDiff();
+    }
+
+    @api
+    get rightValue() { return this._right; }
+    set rightValue(val) {
+        this._right = val;
+        this._computeDiff();
+    }
+
+    // ── State ─────────────────────────────────────────────────────────────────
+
+    @track _swapped = false;
+    @track diff     = diffJson(null, null);
+    @track changes  = [];
+    _left;
+    _right;
+
+    // ── Computed ──────────────────────────────────────────────────────────────
+
+    get shownLeft()       { return this._swapped ? this._right : this._left; }
+    get shownRight()      { return this._swapped ? this._left : this._right; }
+    get shownLeftLabel()  { return this._swapped ? this.rightLabel : this.leftLabel; }
+    get shownRightLabel() { return this._swapped ? this.leftLabel : this.rightLabel; }
+
+    get isIdentical() { return this.diff.status === DIFF_STATUS.UNCHANGED; }
+
+    get summary() {
+        const counts = { added: 0, removed: 0, changed: 0 };
+        this.changes.forEach(c => { counts[c.status]++; });
+        return `${counts.added} added · ${counts.removed} removed · ${counts.changed} changed`;
+    }
+
+    // ── Handlers ──────────────────────────────────────────────────────────────
+
+    handleSwap() {
+        this._swapped = !this._swapped;
+        this._computeDiff();
+    }
+
+    handleClose() {
+        this.dispatchEvent(new CustomEvent('close'));
+    }
+
+    // ── Private helpers ───────────────────────────────────────────────────────
+
+    _computeDiff() {
+        this.diff = diffJson(this.shownLeft, this.shownRight);
+        this.changes = listChanges(this.diff).map((c, idx) => ({
+            key        : `${idx}-${c.path}`,
+            path       : c.path,
+            status     : c.status,
+            label      : STATUS_LABEL[c.status],
+            badgeClass : `pd-change-badge pd-change-${c.status}`
+        }));
+    }
+}
@@ -2,17 +2,97 @@ import { LightningElement, track, wire } from 'lwc';
 import { NavigationMixin } from 'lightning/navigation';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import getAllPlatformEvents from '@salesforce/apex/PlatformEventService.getAllPlatformEvents';
-import createEventLog     from '@salesforce/apex/PlatformEventLogController.createEventLog';
-import clearLogsForChannel from '@salesforce/apex/PlatformEventLogController.clearLogsForChannel';
+import getAdditionalChannels from '@salesforce/apex/PlatformEventService.getAdditionalChannels';
+import createEventLogs    from '@salesforce/apex/PlatformEventLogController.createEventLogs';
+import getLastReplayId    from '@salesforce/apex/PlatformEventLogController.getLastReplayId';
+import getErrorCounts     from '@salesforce/apex/PlatformEventLogController.getErrorCounts';
+import getCaptureRules    from '@salesforce/apex/PlatformEventCaptureRules.getCaptureRules';
+import getAlertRules      from '@salesforce/apex/PlatformEventAlerts.getAlertRules';
+import getDefaultWorkspace from '@salesforce/apex/PlatformEventWorkspaces.getDefaultWorkspace';
+import saveWorkspace      from '@salesforce/apex/PlatformEventWorkspaces.saveWorkspace';
+import getCorrelationKeys from '@salesforce/apex/PlatformEventCorrelation.getCorrelationKeys';
+import startClear         from '@salesforce/apex/PlatformEventLogRetention.startClear';
+import getPurgeStatus     from '@salesforce/apex/PlatformEventLogRetention.getPurgeStatus';
+import { compileFilter }  from 'c/eventFilter';
+import { togglePinned, clearPinned, getPinned, subscribePinned } from 'c/jsonDiff';
+import { EXPORT_FORMATS, fromLiveEvent, buildExport, downloadFile, parseImport } from 'c/eventExport';
+import { createChannelMetrics, recordEvent as recordMetric, summarize } from 'c/eventMetrics';
+import { compileRules, evaluateEvent, evaluateAbsence, watchChannel, unwatchChannel } from 'c/alertRules';
+import { resolveSchema, describeChanges, fieldRows, schemaFieldNames } from 'c/eventSchemas';
+import { captureWorkspace, readWorkspace, setChannelFilter } from 'c/monitorWorkspace';
+import { compileCorrelation, correlationKeyFor } from 'c/eventCorrelation';
+import { isSessionCaptureSupported, openSession, captureEvent, readCaptured, clearCaptured, closeSession } from 'c/sessionCapture';
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Helpers
 // ─────────────────────────────────────────────────────────────────────────────
 
+// Catalog category (PlatformEventService) → badge style
 const EVENT_TYPE_BADGE = {
-    'Custom Platform Event' : 'pem-badge-custom',
-    'Change Data Capture'   : 'pem-badge-cdc',
-    'Standard Platform Event': 'pem-badge-standard'
+    'Custom Platform Event'      : 'pem-badge-custom',
+    'Change Data Capture'        : 'pem-badge-cdc',
+    'Standard Platform Event'    : 'pem-badge-standard',
+    'Real-Time Event Monitoring' : 'pem-badge-rtem',
+    'Custom Channel'             : 'pem-badge-channel',
+    'Generic Streaming'          : 'pem-badge-streaming'
+};
+
+// EMP API replay positions: -1 = tip (new events only), -2 = all retained
+const REPLAY_TIP = -1;
+const REPLAY_ALL = -2;
+
+// Log writes are buffered and sent to Apex in batches: a flush happens once
+// WRITE_BATCH_SIZE events are queued or WRITE_FLUSH_DELAY_MS after the first
+const WRITE_BATCH_SIZE      = 50;
+const WRITE_MAX_BATCH       = 200;
+const WRITE_FLUSH_DELAY_MS  = 2000;
+const WRITE_RETRY_DELAY_MS  = 5000;
+const WRITE_MAX_RETRIES     = 3;
+
+// Throughput summaries (rates, sparklines, time since last event) refresh and
+// Absence alert rules are checked on this tick
+const METRICS_TICK_MS = 1000;
+
+// A channel's logs are cleared by a background batch job polled on this tick
+const PURGE_POLL_MS = 2000;
+
+// Live events kept per channel; each tab picks its own buffer size
+const DEFAULT_BUFFER_SIZE = 200;
+const BUFFER_SIZES = [50, 100, 200, 500, 1000, 2000];
+
+// Delivery keys remembered per channel to drop redelivered events
+const DEDUP_WINDOW = 5000;
+
+// Live alerts kept for the alert feed, and toasts shown per received event
+const LIVE_ALERT_LIMIT = 100;
+const ALERT_TOAST_LIMIT = 3;
+
+// Subscription status of a logged event → badge style
+const STATUS_BADGE = {
+    Received  : 'pem-status pem-status-received',
+    Processed : 'pem-status pem-status-processed',
+    Error     : 'pem-status pem-status-error'
+};
+
+const ALERT_TOAST_VARIANT = {
+    Critical : 'error',
+    Warning  : 'warning',
+    Info     : 'info'
+};
+
+const CONNECTION_STATE_LABEL = {
+    connecting   : 'Connecting…',
+    connected    : 'Connected',
+    reconnecting : 'Reconnecting…',
+    failed       : 'Connection failed',
+    offline      : 'Offline (imported)'
+};
+
+const REPLAY_MODE_LABEL = {
+    tip    : 'new events',
+    all    : 'all retained events',
+    custom : 'after Replay ID',
+    resume : 'last logged Replay ID'
 };
 
 function formatDate(isoString) {
@@ -22,6 +102,55 @@ function formatDate(isoString) {
     } catch (_) { return isoString; }
 }
 
+// PlatformEventChannel API names end in __chn
+function isCustomChannel(apiName) {
+    return String(apiName || '').endsWith('__chn');
+}
+
+// Identifies one delivery of an event: its EventUuid (high-volume events),
+// else "<channel>#<replayId>", the same key PlatformEventLogController
+// stores in the log's Event_UUID__c
+function deliveryKey(channel, cometEvent) {
+    if (cometEvent.EventUuid) return cometEvent.EventUuid;
+    if (cometEvent.replayId != null && cometEvent.replayId !== '') return `${channel}#${cometEvent.replayId}`;
+    return null;
+}
+
+// Live filters of channels outside the active workspace are kept in the
+// browser per channel, so a channel unsubscribed or reopened after a reload
+// gets its filter back. A workspace channel's filter is saved in the workspace.
+const FILTER_STORAGE_KEY = 'platform-event-monitor-live-filters';
+
+function readSavedFilters() {
+    try {
+        return JSON.parse(localStorage.getItem(FILTER_STORAGE_KEY)) || {};
+    } catch (_) { return {}; }
+}
+
+function saveFilter(channel, source) {
+    const filters = readSavedFilters();
+    if (source) {
+        filters[channel] = source;
+    } else {
+        delete filters[channel];
+    }
+    try {
+        localStorage.setItem(FILTER_STORAGE_KEY, JSON.stringify(filters));
+    } catch (_) { /* storage unavailable or full: the filter lasts this session */ }
+}
+
+// The monitor's record of the open workspace; config is its read configuration
+function activeWorkspace(workspace, config) {
+    return {
+        id          : workspace.id,
+        name        : workspace.name,
+        description : workspace.description,
+        shared      : workspace.shared,
+        isOwner     : workspace.isOwner,
+        config
+    };
+}
+
 function safeParseJson(str) {
     if (!str) return null;
     if (typeof str === 'object') return str;
@@ -41,38 +170,214 @@ export default class PlatformEventMonitor extends NavigationMixin(LightningEleme
     @track _error           = null;
     @track empUnavailable   = false;
 
-    // Map: channel → { channel, apiName, eventType }
+    // Map: channel → { channel, apiName, eventType }. Imported bundles add
+    // read-only entries keyed "offline:<n>:<channel>" with offline: true
     @track _subscriptions   = {};
 
     // Map: channel → Array<eventObject>
     @track _liveEvents      = {};
 
     @track activeTab        = null;
-    @track _payloadState    = {};   // eventId → { payload: bool, envelope: bool }
+    @track _payloadState    = {};   // eventId → { payload, envelope, schema, changes: bool }
+
+    // Map: channel → { mode: 'tip'|'all'|'custom'|'resume', replayId: String }
+    @track _replaySettings  = {};
+
+    // Map: channel → gap warning to attach to the next received event
+    _pendingGaps = {};
+
+    // Map: channel → schema change warning to attach to the next displayed event
+    _pendingSchemaWarnings = {};
+
+    // Map: channel → out-of-order warning to attach to the next received event
+    _pendingOrderWarnings = {};
+
+    // Map: channel → Set of recent delivery keys (oldest first, DEDUP_WINDOW max)
+    _seenKeys = {};
+
+    // Map: channel → events received while the tab is paused (newest first)
+    _pausedEvents = {};
+
+    // Map: channel → compiled live filter predicate (source kept on the subscription)
+    _filterPredicates = {};
+
+    // Buffered log writes: Array<{ input: EventLogInput, attempts: Number }>
+    _writeQueue      = [];
+    _writesInFlight  = 0;
+    _flushTimer      = null;
+    @track pendingWriteCount = 0;
+
+    // Event currently open in the Publish panel: { apiName, channel, label }
+    @track publishTarget    = null;
+
+    // Event currently open in the Headless Capture panel: { apiName, channel, label }
+    @track captureTarget    = null;
+
+    // Event currently open in the Subscription Health panel: { apiName, channel, label }
+    @track healthTarget     = null;
+
+    // Live events selected for re-publishing (eventId → true) and the log Ids
+    // open in the Re-publish panel
+    @track _selectedEventIds = {};
+    @track republishIds     = null;
+
+    // Logs open in the status (triage) panel: { logIds, status, errorMessage },
+    // and unresolved Error logs per channel
+    @track triageTarget     = null;
+    @track _errorCounts     = {};
+
+    // Payloads pinned for comparison (shared with the log explorer via c/jsonDiff)
+    @track _pinned          = [];
+    _unsubscribePinned      = null;
+
+    // Number of bundles imported, to keep offline tab keys unique
+    _importCount            = 0;
+
+    // Live throughput: channel → c/eventMetrics state (updated per event) and
+    // channel → its summary (refreshed every METRICS_TICK_MS while subscribed)
+    _metrics                = {};
+    @track _throughput      = {};
+    @track showMetrics      = false;
+    _metricsTimer           = null;
+
+    // Background clears of a channel's logs: channel → PlatformEventLogRetention.PurgeJob,
+    // and channel → the pending poll
+    @track _purgeJobs       = {};
+    _purgeTimers            = {};
+
+    // Active alert rules compiled by c/alertRules, and the alerts they raised
+    // on the live stream this session (newest first)
+    _alertRules             = [];
+    @track _liveAlerts      = [];
+    @track showAlerts       = false;
+
+    // Resolved schemas (schemaId → { status: 'loading'|'ready'|'error', version, error })
+    // and the schema history panel. Each live subscription keeps the last
+    // schema ID it received as schemaId.
+    @track _schemas         = {};
+    @track showSchema       = false;
+
+    // Workspace last opened or saved ({ id, name }) and the workspaces panel
+    @track _activeWorkspace = null;
+    @track showWorkspaces   = false;
+
+    // Correlation key paths by event API name (c/eventCorrelation) and the
+    // key open in the trace panel. Each live event carries its correlationKey.
+    _correlationKeys        = {};
+    @track traceKey         = null;
 
     // ── Options ───────────────────────────────────────────────────────────────
 
     typeOptions = [
-        { label: 'All Types',                value: 'All' },
-        { label: 'Custom Platform Events',   value: 'Custom Platform Event' },
-        { label: 'Change Data Capture',      value: 'Change Data Capture' },
-        { label: 'Standard Platform Events', value: 'Standard Platform Event' }
+        { label: 'All Types',                  value: 'All' },
+        { label: 'Custom Platform Events',     value: 'Custom Platform Event' },
+        { label: 'Change Data Capture',        value: 'Change Data Capture' },
+        { label: 'Standard Platform Events',   value: 'Standard Platform Event' },
+        { label: 'Real-Time Event Monitoring', value: 'Real-Time Event Monitoring' },
+        { label: 'Custom Channels',            value: 'Custom Channel' },
+        { label: 'Generic Streaming',          value: 'Generic Streaming' }
+    ];
+
+    replayOptions = [
+        { label: 'New events (tip)',        value: 'tip' },
+        { label: 'All retained (72h)',      value: 'all' },
+        { label: 'After Replay ID…',        value: 'custom' },
+        { label: 'Resume from last logged', value: 'resume' }
     ];
 
     // ── Wire ──────────────────────────────────────────────────────────────────
 
+    // Catalog sources: custom and change events (cached wire), then standard,
+    // Real-Time Event Monitoring, custom and streaming channels (loaded lazily)
+    _catalogEvents      = [];
+    _additionalChannels = [];
+    @track channelsLoading      = false;
+    @track channelApiConfigured = true;
+    @track channelApiError      = null;
+
     @wire(getAllPlatformEvents)
     wiredEvents({ data, error }) {
         if (data) {
-            this._allEvents = data.map(e => this._enrichEvent(e));
-            this._applyFilters();
+            this._catalogEvents = data;
+            this._mergeCatalog();
             this.isLoading = false;
+            this._loadAdditionalChannels();
         } else if (error) {
             this._error = error?.body?.message || 'Failed to load platform events.';
             this.isLoading = false;
         }
     }
 
+    // Map: channel → capture rule (Event_Capture_Rule__mdt), '*' = default
+    _captureRules = {};
+
+    @wire(getCaptureRules)
+    wiredCaptureRules({ data }) {
+        if (data) {
+            const rules = {};
+            data.forEach(r => { rules[r.channel] = r; });
+            this._captureRules = rules;
+        }
+    }
+
+    @wire(getAlertRules)
+    wiredAlertRules({ data }) {
+        if (data) {
+            const { compiled, invalid } = compileRules(data);
+            this._alertRules = compiled;
+            // Rules loaded after subscribing start their Absence clock now
+            Object.values(this._subscriptions)
+                .filter(sub => !sub.offline && sub.connectionState === 'connected')
+                .forEach(sub => watchChannel(compiled, sub.channel));
+            if (invalid.length) {
+                this._toast('Alert Rules Skipped',
+                    `Invalid condition on: ${invalid.join(', ')}`, 'warning');
+            }
+            const liveOnly = data.filter(r => r.serverError && !invalid.includes(r.name));
+            if (liveOnly.length) {
+                this._toast('Alert Rules Never Fire Server-Side',
+                    `${liveOnly.map(r => r.name).join(', ')}: ${liveOnly[0].serverError} ` +
+                    'They only alert in this monitor and create no alert records or notifications.', 'warning');
+            }
+        }
+    }
+
+    @wire(getCorrelationKeys)
+    wiredCorrelationKeys({ data }) {
+        if (data) {
+            this._correlationKeys = compileCorrelation(data);
+            // Events received before the keys loaded get theirs now
+            const live = {};
+            Object.entries(this._liveEvents).forEach(([channel, events]) => {
+                live[channel] = events.map(e => ({
+                    ...e,
+                    correlationKey: correlationKeyFor(this._correlationKeys, e.eventApiName, e.payloadObject)
+                }));
+            });
+            this._liveEvents = live;
+        }
+    }
+
+    // ── Lifecycle ─────────────────────────────────────────────────────────────
+
+    connectedCallback() {
+        this._pinned = getPinned();
+        this._unsubscribePinned = subscribePinned(pinned => { this._pinned = pinned; });
+        this._openDefaultWorkspace();
+        this._loadErrorCounts();
+    }
+
+    disconnectedCallback() {
+        // Best-effort flush of anything still buffered
+        this._flushWrites();
+        if (this._unsubscribePinned) {
+            this._unsubscribePinned();
+        }
+        this._stopMetricsTimer();
+        Object.values(this._purgeTimers).forEach(timer => clearTimeout(timer));
+        closeSession();
+    }
+
     // ── Computed ──────────────────────────────────────────────────────────────
 
     get showTable()        { return !this.isLoading && !this._error; }
@@ -81,27 +386,145 @@ export default class PlatformEventMonitor extends NavigationMixin(LightningEleme
     get noResults()        { return !this.isLoading && this.filteredEvents.length === 0; }
     get filteredCount()    { return this.filteredEvents.length; }
     get totalCount()       { return this._allEvents.length; }
+
+    // Why custom channels are missing from the catalog, if they are
+    get channelApiNote() {
+        if (this.channelApiError) return this.channelApiError;
+        if (!this.channelApiConfigured) {
+            return 'Custom channels: API not configured. Create the Platform_Event_Monitor_API named credential to list them.';
+        }
+        return null;
+    }
+
+    get showChannelApiEmpty() {
+        return this.selectedType === 'Custom Channel' && !!this.channelApiNote;
+    }
     get hasSubscriptions() { return Object.keys(this._subscriptions).length > 0; }
 
     get subscribedChannels() {
-        return Object.values(this._subscriptions).map(sub => ({
-            ...sub,
-            eventCount : (this._liveEvents[sub.channel] || []).length,
-            tabClass   : this._tabClass(sub.channel)
-        }));
+        return Object.values(this._subscriptions).map(sub => {
+            const state = sub.connectionState || 'connecting';
+            return {
+                ...sub,
+                eventCount      : (this._liveEvents[sub.channel] || []).length,
+                errorCount      : this._errorCounts[sub.channel] || 0,
+                tabClass        : this._tabClass(sub.channel),
+                tabTitle        : sub.offline
+                    ? `${sub.sourceChannel} · read-only, imported from ${sub.importName}`
+                    : `${sub.channel} · ${CONNECTION_STATE_LABEL[state]} · replaying from ${sub.replayLabel}`,
+                connectionClass : `pem-conn-dot pem-conn-${state}`,
+                connectionLabel : CONNECTION_STATE_LABEL[state],
+                hasGaps         : sub.gapCount > 0,
+                gapTitle        : `${sub.gapCount} replay gap(s) detected — events may have been missed`,
+                hasNewEvents    : sub.paused && sub.newCount > 0,
+                hasOutOfOrder   : sub.outOfOrderCount > 0,
+                outOfOrderTitle : `${sub.outOfOrderCount} event(s) arrived with a lower Replay ID than an earlier one`,
+                sparkPath       : (this._throughput[sub.channel] || {}).sparkPath || ''
+            };
+        });
+    }
+
+    get activeSubscription() {
+        return this._subscriptions[this.activeTab] || null;
+    }
+
+    get activeFilter() {
+        return (this.activeSubscription || {}).filter || '';
+    }
+
+    get activeFilteredOutLabel() {
+        const sub = this.activeSubscription;
+        return sub && sub.filter ? `${sub.filteredOutCount || 0} filtered out` : '';
+    }
+
+    get activeDuplicateLabel() {
+        const n = (this.activeSubscription || {}).duplicateCount || 0;
+        return n ? `${n} duplicate${n === 1 ? '' : 's'} dropped` : '';
+    }
+
+    get activeTabPaused()   { return !!(this.activeSubscription || {}).paused; }
+    get pauseIconName()     { return this.activeTabPaused ? 'utility:play' : 'utility:pause'; }
+    get pauseTitle()        { return this.activeTabPaused ? 'Resume the live view' : 'Pause the live view; events keep arriving'; }
+    get activeBufferSize()  { return String((this.activeSubscription || {}).bufferSize || DEFAULT_BUFFER_SIZE); }
+    get bufferSizeOptions() { return BUFFER_SIZES.map(n => ({ label: `Keep ${n}`, value: String(n) })); }
+
+    get activeNewLabel() {
+        const n = (this.activeSubscription || {}).newCount || 0;
+        return `Paused — ${n} new event${n === 1 ? '' : 's'} · Resume`;
+    }
+
+    get sessionCaptureSupported() { return isSessionCaptureSupported(); }
+    get activeSessionCapture()    { return !!(this.activeSubscription || {}).sessionCapture; }
+    get activeHasCaptured()       { return ((this.activeSubscription || {}).capturedCount || 0) > 0; }
+
+    get activeCapturedLabel() {
+        const n = (this.activeSubscription || {}).capturedCount || 0;
+        return `${n.toLocaleString()} in session capture`;
+    }
+
+    get activeCaptureLabel() {
+        return this.activeTab ? this._captureLabel(this.activeTab) : '';
+    }
+
+    get activeTabClearing() {
+        return !!(this.activeTab && this._purgeJobs[this.activeTab]);
+    }
+
+    get activePurge() {
+        const job = this.activeTab && this._purgeJobs[this.activeTab];
+        if (!job) return null;
+        const total = job.batchesTotal || 0;
+        return {
+            label   : total ? `Clearing logs… ${job.batchesDone || 0} of ${total} batches` : 'Clearing logs… queued',
+            percent : total ? Math.round(((job.batchesDone || 0) / total) * 100) : 0
+        };
+    }
+
+    get hasPendingWrites() {
+        return this.pendingWriteCount > 0;
+    }
+
+    get pendingWritesLabel() {
+        return `${this.pendingWriteCount} pending write${this.pendingWriteCount === 1 ? '' : 's'}`;
+    }
+
+    get activeTabOffline() {
+        const sub = this._subscriptions[this.activeTab];
+        return !!sub && !!sub.offline;
+    }
+
+    get activeOfflineLabel() {
+        const sub = this.activeSubscription;
+        if (!sub || !sub.offline) return '';
+        const exported = sub.exportedAt ? `, exported ${formatDate(sub.exportedAt)}` : '';
+        return `Read-only: ${sub.sourceChannel} from ${sub.importName}${exported}`;
+    }
+
+    get activeTabFailed() {
+        const sub = this._subscriptions[this.activeTab];
+        return !!sub && sub.connectionState === 'failed';
     }
 
     get subscriberComponents() {
-        return Object.values(this._subscriptions).map(sub => ({
+        return Object.values(this._subscriptions).filter(sub => !sub.offline).map(sub => ({
             ...sub,
-            replayId: -1
+            replayId: sub.replayId != null ? sub.replayId : REPLAY_TIP
         }));
     }
 
     get activeTabEvents() {
         const events = this._liveEvents[this.activeTab] || [];
+        const pinnedKeys = new Set(this._pinned.map(p => p.key));
+        const offline = this.activeTabOffline;
         return events.map(e => ({
             ...e,
+            ...this._schemaView(e, offline),
+            ...this._changesView(e),
+            selectable            : !offline && !!e.logRecordId,
+            selected              : !!this._selectedEventIds[e.id],
+            statusClass           : STATUS_BADGE[e.status] || 'pem-status',
+            pinVariant            : pinnedKeys.has(`live:${e.id}`) ? 'brand' : 'border',
+            traceTitle            : e.correlationKey ? `Trace correlation key ${e.correlationKey}` : '',
             payloadExpanded       : !!(this._payloadState[e.id] && this._payloadState[e.id].payload),
             envelopeExpanded      : !!(this._payloadState[e.id] && this._payloadState[e.id].envelope),
             payloadExpandedStr    : String(!!(this._payloadState[e.id] && this._payloadState[e.id].payload)),
@@ -113,8 +536,97 @@ export default class PlatformEventMonitor extends NavigationMixin(LightningEleme
         }));
     }
 
+    // Only logged custom events can be re-published. Custom channels carry
+    // their members' events, which are re-published from the member's own tab.
+    get activeTabRepublishable() {
+        const sub = this.activeSubscription;
+        return !!sub && !sub.offline && sub.eventType === 'Custom Platform Event' && !isCustomChannel(sub.apiName);
+    }
+
+    get selectedLogIds() {
+        return (this._liveEvents[this.activeTab] || [])
+            .filter(e => this._selectedEventIds[e.id] && e.logRecordId)
+            .map(e => e.logRecordId);
+    }
+
+    get noEventsSelected()       { return this.selectedLogIds.length === 0; }
+    get republishSelectedLabel() { return `Re-publish (${this.selectedLogIds.length})`; }
+    get triageSelectedLabel()    { return `Set status (${this.selectedLogIds.length})`; }
+
+    get activeTabLive() {
+        return !!this.activeSubscription && !this.activeTabOffline;
+    }
+
+    // Any logged live event can be triaged; imported bundles are read-only
+    get showTriageSelected() {
+        return this.activeTabLive;
+    }
+
+    // Live events of every tab, so a trace can follow a key across channels
+    get traceLiveEvents() {
+        return Object.values(this._liveEvents).flat();
+    }
+
+    get hasPinned()    { return this._pinned.length > 0; }
+    get canCompare()   { return this._pinned.length === 2; }
+    get compareLeft()  { return this._pinned[0]; }
+    get compareRight() { return this._pinned[1]; }
+    get pinnedLabel()  { return this._pinned.length ? this._pinned[0].label : ''; }
+
+    get throughputRows() {
+        return Object.values(this._subscriptions).filter(sub => !sub.offline).map(sub => ({
+            channel : sub.channel,
+            apiName : sub.apiName,
+            ...(this._throughput[sub.channel] || summarize(createChannelMetrics()))
+        }));
+    }
+
+    // Imported tabs have no logged history of their own
+    get metricsActiveChannel() {
+        return this.activeTabOffline ? null : this.activeTab;
+    }
+
+    get liveAlerts() { return this._liveAlerts; }
+
+    // Imported tabs may come from another org; their schemas are not resolved
+    get schemaEventApiName() {
+        const sub = this.activeSubscription;
+        return sub && !sub.offline ? sub.apiName : null;
+    }
+
+    get activeSchemaId() {
+        return (this.activeSubscription || {}).schemaId || null;
+    }
+
+    get workspaceLabel() {
+        return this._activeWorkspace ? `Workspace: ${this._activeWorkspace.name}` : 'Workspaces';
+    }
+
+    get activeWorkspaceId() {
+        return this._activeWorkspace ? this._activeWorkspace.id : null;
+    }
+
+    get currentWorkspaceConfig() {
+        return captureWorkspace({
+            subscriptions  : this._subscriptions,
+            replaySettings : this._replaySettings,
+            searchTerm     : this.searchTerm,
+            selectedType   : this.selectedType,
+            activeTab      : this.activeTab
+        });
+    }
+
+    get alertsLabel() {
+        const count = this._liveAlerts.length;
+        return count ? `Alerts (${count})` : 'Alerts';
+    }
+
+    get alertsVariant() {
+        return this._liveAlerts.length ? 'destructive-text' : 'neutral';
+    }
+
     get noLiveEvents() {
-        return (this._liveEvents[this.activeTab] || []).length === 0;
+        return (this._liveEvents[this.activeTab] || []).length === 0 && !this.activeTabPaused;
     }
 
     // ── Handlers: filters ─────────────────────────────────────────────────────
@@ -136,6 +648,8 @@ export default class PlatformEventMonitor extends NavigationMixin(LightningEleme
         // Force re-evaluation by temporarily clearing
         this._allEvents = [];
         this.filteredEvents = [];
+        this._loadErrorCounts();
+        this._loadAdditionalChannels();
         // eslint-disable-next-line @lwc/lwc/no-async-operation
         setTimeout(() => {
             // After a tick the wire fires again
@@ -143,70 +657,165 @@ export default class PlatformEventMonitor extends NavigationMixin(LightningEleme
         }, 500);
     }
 
+    // ── Handlers: replay ──────────────────────────────────────────────────────
+
+    handleReplayModeChange(event) {
+        const channel = event.target.dataset.channel;
+        const cur = this._replaySettings[channel] || {};
+        this._replaySettings = {
+            ...this._replaySettings,
+            [channel]: { ...cur, mode: event.detail.value }
+        };
+        this._applyFilters();
+    }
+
+    handleReplayIdChange(event) {
+        const channel = event.target.dataset.channel;
+        const cur = this._replaySettings[channel] || {};
+        this._replaySettings = {
+            ...this._replaySettings,
+            [channel]: { ...cur, replayId: event.target.value }
+        };
+    }
+
     // ── Handlers: subscriptions ───────────────────────────────────────────────
 
     handleSubscribe(event) {
         const { channel, apiname: apiName, eventtype: eventType } =
             event.currentTarget.dataset;
-        if (!channel || this._subscriptions[channel]) return;
+        this._subscribe(channel, apiName, eventType);
+    }
 
-        this._subscriptions = {
-            ...this._subscriptions,
-            [channel]: { channel, apiName, eventType }
-        };
-        this._liveEvents = { ...this._liveEvents, [channel]: [] };
+    handleUnsubscribe(event) {
+        this._unsubscribe(event.currentTarget.dataset.channel);
+    }
 
-        if (!this.activeTab) {
-            this.activeTab = channel;
+    handleSubscribeConfirmed(event) {
+        const { channel } = event.detail;
+        this._updateEventRowSubscription(channel, true);
+        this._toast('Subscribed', `Listening on ${channel}`, 'success');
+        watchChannel(this._alertRules, channel);
+        this._startMetricsTimer();
+    }
+
+    handleUnsubscribeConfirmed(event) {
+        const { channel } = event.detail;
+        this._removeTab(channel);
+        this._updateEventRowSubscription(channel, false);
+    }
+
+    handleSubscribeError(event) {
+        const { channel, error } = event.detail;
+        this._toast('Subscription Error', `${channel}: ${error}`, 'error');
+    }
+
+    handleConnectionStateChange(event) {
+        const { channel, state, attempt } = event.detail;
+        this._patchSubscription(channel, { connectionState: state });
+
+        if (state === 'reconnecting' && attempt === 1) {
+            this._toast('Connection Lost', `Reconnecting to ${channel}…`, 'warning');
+        } else if (state === 'failed') {
+            this._toast('Connection Failed', `Gave up reconnecting to ${channel}`, 'error');
         }
+    }
 
-        // After the subscriber component mounts it will auto-subscribe.
-        // We call it explicitly after next render via a ref.
-        // eslint-disable-next-line @lwc/lwc/no-async-operation
-        setTimeout(() => {
-            const subscribers = this.template.querySelectorAll('c-platform-event-subscriber');
-            subscribers.forEach(sub => {
-                if (sub.dataset.channel === channel) {
-                    sub.subscribeToChannel();
-                }
-            });
-        }, 100);
+    handleReplayGap(event) {
+        const { channel, lastReplayId, replayId, missed } = event.detail;
+        const sub = this._subscriptions[channel];
+        if (!sub) return;
+        this._patchSubscription(channel, { gapCount: (sub.gapCount || 0) + 1 });
+        this._pendingGaps[channel] =
+            `Replay ID jumped from ${lastReplayId} to ${replayId} — ${missed} event(s) may have been missed`;
     }
 
-    handleUnsubscribe(event) {
-        const channel = event.currentTarget.dataset.channel;
-        if (!channel) return;
+    handleReplayOrder(event) {
+        const { channel, lastReplayId, replayId } = event.detail;
+        if (!this._subscriptions[channel]) return;
+        this._pendingOrderWarnings[channel] =
+            `Replay ID ${replayId} arrived after ${lastReplayId} — events are out of order`;
+    }
 
+    handleReconnect() {
+        const channel = this.activeTab;
+        if (!channel) return;
         const subscribers = this.template.querySelectorAll('c-platform-event-subscriber');
         subscribers.forEach(sub => {
             if (sub.dataset.channel === channel) {
-                sub.unsubscribeFromChannel();
+                sub.reconnect();
             }
         });
     }
 
-    handleSubscribeConfirmed(event) {
-        const { channel } = event.detail;
-        this._updateEventRowSubscription(channel, true);
-        this._toast('Subscribed', `Listening on ${channel}`, 'success');
+    // ── Handlers: live buffer ─────────────────────────────────────────────────
+
+    handleTogglePause() {
+        const channel = this.activeTab;
+        const sub = this._subscriptions[channel];
+        if (!sub || sub.offline) return;
+        if (sub.paused) {
+            this._resume(channel);
+        } else {
+            this._patchSubscription(channel, { paused: true, newCount: 0 });
+        }
     }
 
-    handleUnsubscribeConfirmed(event) {
-        const { channel } = event.detail;
-        const subs = { ...this._subscriptions };
-        delete subs[channel];
-        this._subscriptions = subs;
-        this._updateEventRowSubscription(channel, false);
+    handleResume() {
+        if (this.activeTab) {
+            this._resume(this.activeTab);
+        }
+    }
 
-        if (this.activeTab === channel) {
-            const channels = Object.keys(this._subscriptions);
-            this.activeTab = channels.length > 0 ? channels[0] : null;
+    handleBufferSizeChange(event) {
+        const channel = this.activeTab;
+        if (!channel) return;
+        this._setBufferSize(channel, Number(event.detail.value));
+    }
+
+    async handleToggleSessionCapture() {
+        const channel = this.activeTab;
+        const sub = this._subscriptions[channel];
+        if (!sub || sub.offline) return;
+        if (sub.sessionCapture) {
+            this._patchSubscription(channel, { sessionCapture: false });
+            return;
+        }
+        try {
+            await openSession(err => this._stopSessionCapture(err));
+            this._patchSubscription(channel, { sessionCapture: true });
+        } catch (err) {
+            this._toast('Session Capture Unavailable', err.message, 'error');
         }
     }
 
-    handleSubscribeError(event) {
-        const { channel, error } = event.detail;
-        this._toast('Subscription Error', `${channel}: ${error}`, 'error');
+    async handleClearSessionCapture() {
+        const channel = this.activeTab;
+        if (!channel) return;
+        try {
+            await clearCaptured(channel);
+            this._patchSubscription(channel, { capturedCount: 0 });
+        } catch (err) {
+            this._toast('Session Capture Not Cleared', err.message, 'error');
+        }
+    }
+
+    // ── Handlers: live filter ─────────────────────────────────────────────────
+
+    handleFilterCommit(event) {
+        const channel = this.activeTab;
+        const input = event.target;
+        if (!channel) return;
+
+        try {
+            this._setLiveFilter(channel, input.value);
+            input.setCustomValidity('');
+        } catch (err) {
+            input.setCustomValidity(err.message);
+            input.reportValidity();
+            return;
+        }
+        input.reportValidity();
+        this._persistLiveFilter(channel);
     }
 
     // ── Handlers: live events ─────────────────────────────────────────────────
@@ -221,26 +830,69 @@ export default class PlatformEventMonitor extends NavigationMixin(LightningEleme
         const cometEvent  = data.event   || {};
         const schema      = data.schema  || '';
 
+        // Redeliveries (reconnects, replays) are dropped before anything counts them
+        if (this._isDuplicate(channel, cometEvent)) {
+            delete this._pendingOrderWarnings[channel];
+            this._patchSubscription(channel, { duplicateCount: (sub.duplicateCount || 0) + 1 });
+            return;
+        }
+        const orderWarning = this._pendingOrderWarnings[channel] || null;
+        delete this._pendingOrderWarnings[channel];
+        if (orderWarning) {
+            this._patchSubscription(channel, { outOfOrderCount: (sub.outOfOrderCount || 0) + 1 });
+        }
+
+        // Throughput counts every received event, including filtered-out ones
+        if (!this._metrics[channel]) {
+            this._metrics[channel] = createChannelMetrics();
+        }
+        recordMetric(this._metrics[channel], payload);
+        this._startMetricsTimer();
+
+        // Alert rules also see every received event
+        this._raiseAlerts(evaluateEvent(this._alertRules, channel, payload));
+
+        // Schema changes are tracked for every received event too
+        this._trackSchema(channel, sub, schema);
+
+        // Live filter: drop non-matching events before display and persistence
+        const predicate = this._filterPredicates[channel];
+        if (predicate && !predicate(payload)) {
+            this._patchSubscription(channel, { filteredOutCount: (sub.filteredOutCount || 0) + 1 });
+            return;
+        }
+
+        const gapWarning = this._pendingGaps[channel] || null;
+        delete this._pendingGaps[channel];
+        const schemaWarning = this._pendingSchemaWarnings[channel] || null;
+        delete this._pendingSchemaWarnings[channel];
+
         const eventId = `${Date.now()}-${Math.random()}`;
-        const eventObj = {
-            id              : eventId,
-            receivedAt      : formatDate(new Date().toISOString()),
-            replayId        : String(cometEvent.replayId || ''),
-            publishedById   : payload.CreatedById || '',
-            publishedDate   : payload.CreatedDate || null,
-            payloadObject   : payload,
-            fullMessage     : message,
-            logRecordId     : null
-        };
+        const eventObj = this._buildLiveEvent(eventId, channel, sub.apiName, message, new Date().toISOString(),
+            gapWarning, schemaWarning, orderWarning);
+
+        // Prepend to live list (newest first), capped at the tab's buffer size.
+        // A paused tab sets new events aside until it resumes.
+        const limit = sub.bufferSize || DEFAULT_BUFFER_SIZE;
+        if (sub.paused) {
+            this._pausedEvents[channel] = [eventObj, ...(this._pausedEvents[channel] || [])].slice(0, limit);
+            this._patchSubscription(channel, { newCount: (sub.newCount || 0) + 1 });
+        } else {
+            const updated = [eventObj, ...(this._liveEvents[channel] || [])].slice(0, limit);
+            this._liveEvents = { ...this._liveEvents, [channel]: updated };
+        }
 
-        // Prepend to live list (newest first), cap at 200 per channel
-        const updated = [eventObj, ...(this._liveEvents[channel] || [])].slice(0, 200);
-        this._liveEvents = { ...this._liveEvents, [channel]: updated };
+        // Session capture keeps every event, whatever the buffer size
+        if (sub.sessionCapture) {
+            captureEvent(fromLiveEvent(eventObj, sub));
+            this._patchSubscription(channel, { capturedCount: (sub.capturedCount || 0) + 1 });
+        }
 
-        // Auto-expand payload by default
+        // Auto-expand the payload by default, or the decoded changes for CDC
+        const isCdc = eventObj.isCdc;
         this._payloadState = {
             ...this._payloadState,
-            [eventId]: { payload: true, envelope: false }
+            [eventId]: { payload: !isCdc, envelope: false, changes: isCdc }
         };
 
         // Update event count on the row
@@ -253,18 +905,292 @@ export default class PlatformEventMonitor extends NavigationMixin(LightningEleme
         });
         this._applyFilters();
 
-        // Persist to Salesforce
-        this._persistLog(message, channel, sub, payload, schema, cometEvent)
-            .then(logId => {
-                // Patch the log record ID onto the in-memory event
-                this._liveEvents = {
-                    ...this._liveEvents,
-                    [channel]: (this._liveEvents[channel] || []).map(e =>
-                        e.id === eventId ? { ...e, logRecordId: logId } : e
-                    )
-                };
-            })
-            .catch(err => console.error('[PlatformEventMonitor] persist error:', err));
+        // Queue for batched persistence to Salesforce
+        this._queueLog(this._buildLogInput(eventId, message, channel, sub, payload, schema, cometEvent));
+    }
+
+    // ── Handlers: publish ─────────────────────────────────────────────────────
+
+    handleOpenPublisher(event) {
+        const { channel, apiname: apiName, label } = event.currentTarget.dataset;
+        this.publishTarget = { channel, apiName, label };
+    }
+
+    handleClosePublisher() {
+        this.publishTarget = null;
+    }
+
+    // ── Handlers: re-publish ──────────────────────────────────────────────────
+
+    handleSelectEvent(event) {
+        const id = event.target.dataset.eventId;
+        const selected = { ...this._selectedEventIds };
+        if (event.target.checked) {
+            selected[id] = true;
+        } else {
+            delete selected[id];
+        }
+        this._selectedEventIds = selected;
+    }
+
+    handleRepublishSelected() {
+        const logIds = this.selectedLogIds;
+        if (!logIds.length) return;
+        this.republishIds = logIds;
+    }
+
+    handleCloseRepublish() {
+        this.republishIds = null;
+    }
+
+    handleRepublished() {
+        this._selectedEventIds = {};
+    }
+
+    // ── Handlers: status triage ───────────────────────────────────────────────
+
+    handleTriageSelected() {
+        const logIds = this.selectedLogIds;
+        if (!logIds.length) return;
+        this.triageTarget = { logIds, status: 'Processed', errorMessage: '' };
+    }
+
+    handleOpenTriage(event) {
+        const id = event.currentTarget.dataset.eventId;
+        const evt = (this._liveEvents[this.activeTab] || []).find(e => e.id === id);
+        if (!evt || !evt.logRecordId) return;
+        this.triageTarget = { logIds: [evt.logRecordId], status: evt.status, errorMessage: evt.errorMessage || '' };
+    }
+
+    handleCloseTriage() {
+        this.triageTarget = null;
+    }
+
+    handleTriaged(event) {
+        const { logIds, status, errorMessage } = event.detail;
+        const updatedIds = new Set(logIds);
+        const live = {};
+        Object.keys(this._liveEvents).forEach(channel => {
+            live[channel] = this._liveEvents[channel].map(e =>
+                updatedIds.has(e.logRecordId) ? { ...e, status, errorMessage } : e
+            );
+        });
+        this._liveEvents = live;
+        this._selectedEventIds = {};
+        this._loadErrorCounts();
+    }
+
+    handleOpenErrors(event) {
+        const channel = event.currentTarget.dataset.channel;
+        this[NavigationMixin.Navigate]({
+            type: 'standard__navItemPage',
+            attributes: { apiName: 'Platform_Event_Log_Explorer' },
+            state: { c__channel: channel, c__status: 'Error' }
+        });
+    }
+
+    // ── Handlers: compare ─────────────────────────────────────────────────────
+
+    handleTogglePin(event) {
+        const id = event.currentTarget.dataset.eventId;
+        const evt = (this._liveEvents[this.activeTab] || []).find(e => e.id === id);
+        if (!evt) return;
+        togglePinned({
+            key    : `live:${evt.id}`,
+            label  : `${evt.channel} · replay ${evt.replayId} · ${evt.receivedAt}`,
+            source : 'live',
+            value  : evt.payloadObject
+        });
+    }
+
+    handleClearCompare() {
+        clearPinned();
+    }
+
+    // ── Handlers: metrics ─────────────────────────────────────────────────────
+
+    handleToggleMetrics() {
+        this.showMetrics = !this.showMetrics;
+    }
+
+    handleCloseMetrics() {
+        this.showMetrics = false;
+    }
+
+    // ── Handlers: alerts ──────────────────────────────────────────────────────
+
+    handleToggleAlerts() {
+        this.showAlerts = !this.showAlerts;
+    }
+
+    handleCloseAlerts() {
+        this.showAlerts = false;
+    }
+
+    handleClearLiveAlerts() {
+        this._liveAlerts = [];
+    }
+
+    // ── Handlers: workspaces ──────────────────────────────────────────────────
+
+    handleToggleWorkspaces() {
+        this.showWorkspaces = !this.showWorkspaces;
+    }
+
+    handleCloseWorkspaces() {
+        this.showWorkspaces = false;
+    }
+
+    handleOpenWorkspace(event) {
+        this._openWorkspace(event.detail.workspace);
+    }
+
+    handleWorkspaceSaved(event) {
+        const { workspace } = event.detail;
+        this._activeWorkspace = activeWorkspace(workspace, readWorkspace(workspace.config));
+        this._toast('Workspace Saved', workspace.name, 'success');
+    }
+
+    // ── Handlers: schema history ──────────────────────────────────────────────
+
+    handleToggleSchema() {
+        this.showSchema = !this.showSchema;
+    }
+
+    handleCloseSchema() {
+        this.showSchema = false;
+    }
+
+    // ── Handlers: trace ───────────────────────────────────────────────────────
+
+    handleOpenTrace(event) {
+        this.traceKey = event.currentTarget.dataset.correlationKey || null;
+    }
+
+    handleCloseTrace() {
+        this.traceKey = null;
+    }
+
+    // ── Handlers: export / import ─────────────────────────────────────────────
+
+    /**
+     * Exports the active tab's buffer as JSON Lines, CSV or a bundle, or every
+     * tab (live and offline) as one bundle. Events are written oldest first.
+     */
+    handleExport(event) {
+        const choice = event.detail.value;
+        if (choice.startsWith('session-')) {
+            this._exportSession(choice.slice('session-'.length));
+            return;
+        }
+        const allTabs = choice === 'bundle-all';
+        const format = allTabs ? 'bundle' : choice;
+        const subs = allTabs ? Object.values(this._subscriptions) : [this.activeSubscription].filter(Boolean);
+
+        const records = [];
+        subs.forEach(sub => {
+            const meta = { channel: sub.sourceChannel || sub.channel, apiName: sub.apiName, eventType: sub.eventType };
+            [...(this._liveEvents[sub.channel] || [])].reverse()
+                .forEach(e => records.push(fromLiveEvent(e, meta)));
+        });
+        if (!records.length) {
+            this._toast('Nothing to Export', 'No events have been received on this tab yet', 'info');
+            return;
+        }
+
+        const baseName = allTabs ? 'live-events' : records[0].channel;
+        downloadFile(buildExport(format, records, { type: 'live' }, baseName));
+        this._toast('Exported', `${records.length} event(s) exported as ${EXPORT_FORMATS[format].label}`, 'success');
+    }
+
+    /**
+     * Opens a bundle or JSON Lines export as read-only offline tabs, one per
+     * channel. Offline tabs have no subscriber and nothing is logged.
+     */
+    async handleImport(event) {
+        const file = event.target.files && event.target.files[0];
+        if (!file) return;
+
+        let imported;
+        try {
+            imported = parseImport(await file.text());
+        } catch (err) {
+            this._toast('Import Failed', `${file.name}: ${err.message}`, 'error');
+            return;
+        }
+
+        const importNo = ++this._importCount;
+        const subs = { ...this._subscriptions };
+        const live = { ...this._liveEvents };
+        let total = 0;
+        imported.channels.forEach(ch => {
+            const key = `offline:${importNo}:${ch.channel}`;
+            subs[key] = {
+                channel         : key,
+                sourceChannel   : ch.channel,
+                apiName         : ch.apiName,
+                eventType       : ch.eventType,
+                offline         : true,
+                importName      : file.name,
+                exportedAt      : imported.exportedAt,
+                connectionState : 'offline',
+                gapCount        : 0,
+                outOfOrderCount : 0,
+                duplicateCount  : 0,
+                filter          : '',
+                filteredOutCount: 0
+            };
+            // Newest first, like the live buffer
+            live[key] = ch.entries
+                .map((entry, i) => this._buildLiveEvent(`${key}:${i}`, ch.channel, ch.apiName, entry.envelope, entry.receivedAt, null))
+                .reverse();
+            total += ch.entries.length;
+        });
+        this._subscriptions = subs;
+        this._liveEvents = live;
+        this.activeTab = `offline:${importNo}:${imported.channels[0].channel}`;
+
+        this._toast('Imported',
+            `${total} event(s) on ${imported.channels.length} channel(s) opened read-only from ${file.name}`, 'success');
+    }
+
+    handleCloseOffline() {
+        const channel = this.activeTab;
+        if (!this.activeTabOffline) return;
+        const live = { ...this._liveEvents };
+        delete live[channel];
+        this._liveEvents = live;
+        this._removeTab(channel);
+    }
+
+    // ── Handlers: headless capture ────────────────────────────────────────────
+
+    handleOpenCapture(event) {
+        const { channel, apiname: apiName, label } = event.currentTarget.dataset;
+        this.captureTarget = { channel, apiName, label };
+    }
+
+    handleCloseCapture() {
+        this.captureTarget = null;
+    }
+
+    handlePublished(event) {
+        const { channel, results } = event.detail;
+        // Jump to the live tab so the published event can be watched landing
+        if (this._subscriptions[channel] && results.some(r => r.success)) {
+            this.activeTab = channel;
+        }
+    }
+
+    // ── Handlers: subscription health ─────────────────────────────────────────
+
+    handleOpenHealth(event) {
+        const { channel, apiname: apiName, label } = event.currentTarget.dataset;
+        this.healthTarget = { channel, apiName, label };
+    }
+
+    handleCloseHealth() {
+        this.healthTarget = null;
     }
 
     // ── Handlers: UI ──────────────────────────────────────────────────────────
@@ -282,6 +1208,24 @@ export default class PlatformEventMonitor extends NavigationMixin(LightningEleme
         };
     }
 
+    handleSchemaToggle(event) {
+        const id = event.currentTarget.dataset.eventId;
+        const cur = this._payloadState[id] || {};
+        this._payloadState = {
+            ...this._payloadState,
+            [id]: { ...cur, schema: !cur.schema }
+        };
+    }
+
+    handleChangesToggle(event) {
+        const id = event.currentTarget.dataset.eventId;
+        const cur = this._payloadState[id] || {};
+        this._payloadState = {
+            ...this._payloadState,
+            [id]: { ...cur, changes: !cur.changes }
+        };
+    }
+
     handleEnvelopeToggle(event) {
         const id = event.currentTarget.dataset.eventId;
         const cur = this._payloadState[id] || {};
@@ -300,16 +1244,59 @@ export default class PlatformEventMonitor extends NavigationMixin(LightningEleme
         });
     }
 
+    handleExploreLogs() {
+        if (!this.activeTab) return;
+        this[NavigationMixin.Navigate]({
+            type: 'standard__navItemPage',
+            attributes: { apiName: 'Platform_Event_Log_Explorer' },
+            state: { c__channel: this.activeTab }
+        });
+    }
+
     handleClearLogs() {
         if (!this.activeTab) return;
-        clearLogsForChannel({ channel: this.activeTab })
-            .then(count => {
-                this._liveEvents = { ...this._liveEvents, [this.activeTab]: [] };
-                this._toast('Cleared', `Deleted ${count} log records`, 'info');
-            })
+        // Buffered writes for this channel would re-create what is being cleared
+        const channel = this.activeTab;
+        this._writeQueue = this._writeQueue.filter(w => w.input.channel !== channel);
+        this._updatePendingWrites();
+
+        // Any volume: a batch job deletes the logs, polled for progress
+        startClear({ channel })
+            .then(job => this._trackPurge(channel, job))
             .catch(err => this._toast('Error', err?.body?.message || 'Clear failed', 'error'));
     }
 
+    // ── Log clearing ──────────────────────────────────────────────────────────
+
+    _trackPurge(channel, job) {
+        if (!job.done) {
+            this._purgeJobs = { ...this._purgeJobs, [channel]: job };
+            // eslint-disable-next-line @lwc/lwc/no-async-operation
+            this._purgeTimers[channel] = setTimeout(() => this._pollPurge(channel, job.jobId), PURGE_POLL_MS);
+            return;
+        }
+        const jobs = { ...this._purgeJobs };
+        delete jobs[channel];
+        this._purgeJobs = jobs;
+        delete this._purgeTimers[channel];
+
+        if (job.status === 'Completed' && !job.errors) {
+            this._liveEvents = { ...this._liveEvents, [channel]: [] };
+            this._toast('Cleared', `Deleted the logs of ${channel}`, 'info');
+        } else {
+            const detail = job.message || `${job.errors || 0} of ${job.batchesTotal || 0} batches failed`;
+            this._toast('Clear Incomplete', `Clearing ${channel} ended ${String(job.status).toLowerCase()}: ${detail}`, 'warning');
+        }
+    }
+
+    _pollPurge(channel, jobId) {
+        getPurgeStatus({ jobId })
+            .then(job => this._trackPurge(channel, { ...job, channel }))
+            .catch(err => {
+                this._trackPurge(channel, { jobId, done: true, status: 'Unknown', message: err?.body?.message || 'Progress unavailable' });
+            });
+    }
+
     // ── Private helpers ───────────────────────────────────────────────────────
 
     _enrichEvent(e) {
@@ -318,11 +1305,47 @@ export default class PlatformEventMonitor extends NavigationMixin(LightningEleme
             isSubscribed    : !!this._subscriptions[e.channel],
             eventCount      : 0,
             eventCountLabel : '0',
-            typeBadgeClass  : EVENT_TYPE_BADGE[e.eventType] || '',
+            typeBadgeClass  : EVENT_TYPE_BADGE[e.category] || '',
+            membersLabel    : e.members && e.members.length ? `Members: ${e.members.join(', ')}` : '',
+            ...this._errorView(e.channel),
+            canPublish      : e.category === 'Custom Platform Event',
+            // Apex triggers only subscribe to custom events and CDC
+            canCapture      : e.category === 'Custom Platform Event' || e.category === 'Change Data Capture',
             rowClass        : 'pem-row'
         };
     }
 
+    _loadAdditionalChannels() {
+        this.channelsLoading = true;
+        getAdditionalChannels()
+            .then(result => {
+                this._additionalChannels  = result.channels || [];
+                this.channelApiConfigured = result.apiConfigured;
+                this.channelApiError      = result.apiError || null;
+                this._mergeCatalog();
+            })
+            .catch(err => {
+                this.channelApiError = err?.body?.message || 'Standard events and channels could not be loaded.';
+            })
+            .finally(() => { this.channelsLoading = false; });
+    }
+
+    /**
+     * Rebuilds the catalog from both sources, sorted by API name. Rows
+     * already listed keep their live event counts.
+     */
+    _mergeCatalog() {
+        const listed = new Map(this._allEvents.map(e => [e.channel, e]));
+        this._allEvents = [...this._catalogEvents, ...this._additionalChannels]
+            .sort((a, b) => (a.apiName < b.apiName ? -1 : a.apiName > b.apiName ? 1 : 0))
+            .map(e => {
+                const row = this._enrichEvent(e);
+                const prev = listed.get(e.channel);
+                return prev ? { ...row, eventCount: prev.eventCount, eventCountLabel: prev.eventCountLabel } : row;
+            });
+        this._applyFilters();
+    }
+
     _applyFilters() {
         const term = (this.searchTerm || '').toLowerCase();
         const type = this.selectedType;
@@ -330,16 +1353,108 @@ export default class PlatformEventMonitor extends NavigationMixin(LightningEleme
             .filter(e => {
                 const matchName = !term ||
                     e.apiName.toLowerCase().includes(term) ||
-                    (e.label  || '').toLowerCase().includes(term);
-                const matchType = type === 'All' || e.eventType === type;
+                    (e.label  || '').toLowerCase().includes(term) ||
+                    (e.members || []).some(m => m.toLowerCase().includes(term));
+                const matchType = type === 'All' || e.category === type;
                 return matchName && matchType;
             })
-            .map(e => ({
-                ...e,
-                isSubscribed  : !!this._subscriptions[e.channel],
-                rowClass      : this._subscriptions[e.channel]
-                    ? 'pem-row pem-row-subscribed' : 'pem-row'
-            }));
+            .map(e => {
+                const replayMode = (this._replaySettings[e.channel] || {}).mode || 'tip';
+                return {
+                    ...e,
+                    isSubscribed  : !!this._subscriptions[e.channel],
+                    rowClass      : this._subscriptions[e.channel]
+                        ? 'pem-row pem-row-subscribed' : 'pem-row',
+                    replayMode,
+                    showReplayIdInput : replayMode === 'custom',
+                    replayIdValue     : (this._replaySettings[e.channel] || {}).replayId || ''
+                };
+            });
+    }
+
+    /**
+     * Turns the replay setting chosen for a channel into the numeric position
+     * passed to empApi.subscribe. "resume" looks up the highest Replay ID
+     * already logged for the channel and falls back to the tip when none exist.
+     */
+    async _resolveReplay(channel) {
+        const setting = this._replaySettings[channel] || {};
+        const mode = setting.mode || 'tip';
+
+        if (mode === 'all') {
+            return { replayId: REPLAY_ALL, label: REPLAY_MODE_LABEL.all };
+        }
+        if (mode === 'custom') {
+            const value = String(setting.replayId || '').trim();
+            if (!/^\d+$/.test(value)) {
+                throw new Error('Enter a numeric Replay ID to replay from.');
+            }
+            return { replayId: Number(value), label: `${REPLAY_MODE_LABEL.custom} ${value}` };
+        }
+        if (mode === 'resume') {
+            const lastReplayId = await getLastReplayId({ channel });
+            if (lastReplayId) {
+                return {
+                    replayId : Number(lastReplayId),
+                    label    : `${REPLAY_MODE_LABEL.resume} ${lastReplayId}`
+                };
+            }
+            this._toast('No Logged Events', `Nothing logged yet for ${channel}; starting from the tip`, 'info');
+        }
+        return { replayId: REPLAY_TIP, label: REPLAY_MODE_LABEL.tip };
+    }
+
+    _buildLiveEvent(id, channel, eventApiName, message, receivedIso, gapWarning, schemaWarning = null, orderWarning = null) {
+        const data    = message.data || {};
+        const payload = data.payload || {};
+        return {
+            id,
+            channel,
+            eventApiName,
+            gapWarning,
+            schemaWarning,
+            orderWarning,
+            schemaId        : data.schema || null,
+            receivedAt      : formatDate(receivedIso),
+            receivedIso,
+            replayId        : String((data.event || {}).replayId || ''),
+            publishedById   : payload.CreatedById || '',
+            publishedDate   : payload.CreatedDate || null,
+            payloadObject   : payload,
+            isCdc           : !!payload.ChangeEventHeader,
+            correlationKey  : correlationKeyFor(this._correlationKeys, eventApiName, payload),
+            fullMessage     : message,
+            logRecordId     : null,
+            status          : null,
+            errorMessage    : null
+        };
+    }
+
+    _removeTab(channel) {
+        if ((this._subscriptions[channel] || {}).capturedCount) {
+            clearCaptured(channel).catch(() => { /* deleted with the session */ });
+        }
+        const subs = { ...this._subscriptions };
+        delete subs[channel];
+        this._subscriptions = subs;
+        delete this._pendingGaps[channel];
+        delete this._pendingSchemaWarnings[channel];
+        delete this._pendingOrderWarnings[channel];
+        delete this._seenKeys[channel];
+        delete this._pausedEvents[channel];
+        delete this._filterPredicates[channel];
+        delete this._metrics[channel];
+        unwatchChannel(this._alertRules, channel);
+        if (this._throughput[channel]) {
+            const throughput = { ...this._throughput };
+            delete throughput[channel];
+            this._throughput = throughput;
+        }
+
+        if (this.activeTab === channel) {
+            const channels = Object.keys(this._subscriptions);
+            this.activeTab = channels.length > 0 ? channels[0] : null;
+        }
     }
 
     _updateEventRowSubscription(channel, isSubscribed) {
@@ -349,30 +1464,569 @@ export default class PlatformEventMonitor extends NavigationMixin(LightningEleme
         this._applyFilters();
     }
 
+    /** Describes how the server persists events for a channel (mirrors PlatformEventCaptureRules). */
+    _captureLabel(channel) {
+        const rule = this._captureRules[channel] || this._captureRules['*'];
+        if (!rule || rule.mode === 'All') return 'Logging all events';
+        if (rule.mode === 'None') return 'Logging off';
+        if (rule.mode === 'Sampled') return `Logging ${rule.sampleRate != null ? rule.sampleRate : 100}% sample`;
+        return `Logging events matching: ${rule.condition || '(any)'}`;
+    }
+
+    _patchSubscription(channel, changes) {
+        const sub = this._subscriptions[channel];
+        if (!sub) return;
+        this._subscriptions = {
+            ...this._subscriptions,
+            [channel]: { ...sub, ...changes }
+        };
+    }
+
     _tabClass(channel) {
         return channel === this.activeTab ? 'pem-tab pem-tab-active' : 'pem-tab';
     }
 
-    async _persistLog(message, channel, sub, payload, schema, cometEvent) {
+    // ── Subscriptions ─────────────────────────────────────────────────────────
+
+    /**
+     * Opens a live tab for a channel and subscribes once its subscriber
+     * component has rendered. Returns false when the channel is already open
+     * or its replay setting is invalid.
+     */
+    async _subscribe(channel, apiName, eventType) {
+        if (!channel || this._subscriptions[channel]) return false;
+
+        let replay;
+        try {
+            replay = await this._resolveReplay(channel);
+        } catch (err) {
+            this._toast('Invalid Replay Position', `${channel}: ${err.message}`, 'error');
+            return false;
+        }
+        if (this._subscriptions[channel]) return false;
+
+        this._subscriptions = {
+            ...this._subscriptions,
+            [channel]: {
+                channel, apiName, eventType,
+                replayId        : replay.replayId,
+                replayLabel     : replay.label,
+                connectionState : null,
+                gapCount        : 0,
+                outOfOrderCount : 0,
+                duplicateCount  : 0,
+                bufferSize      : DEFAULT_BUFFER_SIZE,
+                paused          : false,
+                newCount        : 0,
+                sessionCapture  : false,
+                capturedCount   : 0,
+                filter          : '',
+                filteredOutCount: 0
+            }
+        };
+        this._liveEvents = { ...this._liveEvents, [channel]: [] };
+
+        if (!this.activeTab) {
+            this.activeTab = channel;
+        }
+
+        const savedFilter = !this._isWorkspaceChannel(channel) && readSavedFilters()[channel];
+        if (savedFilter) {
+            try {
+                this._setLiveFilter(channel, savedFilter);
+            } catch (err) {
+                saveFilter(channel, '');
+            }
+        }
+
+        // After the subscriber component mounts it will auto-subscribe.
+        // We call it explicitly after next render via a ref.
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        setTimeout(() => {
+            const subscribers = this.template.querySelectorAll('c-platform-event-subscriber');
+            subscribers.forEach(sub => {
+                if (sub.dataset.channel === channel) {
+                    sub.subscribeToChannel();
+                }
+            });
+        }, 100);
+        return true;
+    }
+
+    _unsubscribe(channel) {
+        if (!channel) return;
+
+        const subscribers = this.template.querySelectorAll('c-platform-event-subscriber');
+        subscribers.forEach(sub => {
+            if (sub.dataset.channel === channel) {
+                sub.unsubscribeFromChannel();
+            }
+        });
+    }
+
+    // Compiles and applies a live filter; throws on an invalid expression
+    _setLiveFilter(channel, expression) {
+        const source = (expression || '').trim();
+        const predicate = compileFilter(source);
+        if (predicate) {
+            this._filterPredicates[channel] = predicate;
+        } else {
+            delete this._filterPredicates[channel];
+        }
+        this._patchSubscription(channel, { filter: source, filteredOutCount: 0 });
+    }
+
+    // Saves a channel's live filter with the active workspace when it lists
+    // the channel, else in the browser
+    async _persistLiveFilter(channel) {
+        const source = (this._subscriptions[channel] || {}).filter || '';
+        const workspace = this._activeWorkspace;
+        const config = workspace ? setChannelFilter(workspace.config, channel, source) : null;
+        if (!config) {
+            saveFilter(channel, source);
+            return;
+        }
+        if (!workspace.isOwner) {
+            this._toast('Live Filter Not Saved',
+                `${workspace.name} belongs to another user; save it as your own workspace to keep the filter.`,
+                'warning');
+            return;
+        }
+
+        // Track the change first so a quicker second edit builds on it
+        this._activeWorkspace = { ...workspace, config };
+        try {
+            await saveWorkspace({
+                workspaceId : workspace.id,
+                name        : workspace.name,
+                description : workspace.description,
+                config      : JSON.stringify(config),
+                shared      : workspace.shared
+            });
+        } catch (err) {
+            this._toast('Live Filter Not Saved', err?.body?.message || err.message, 'error');
+        }
+    }
+
+    _isWorkspaceChannel(channel) {
+        const workspace = this._activeWorkspace;
+        return Boolean(workspace && workspace.config.channels.some(c => c.channel === channel));
+    }
+
+    // ── Workspaces ────────────────────────────────────────────────────────────
+
+    async _openDefaultWorkspace() {
+        try {
+            const workspace = await getDefaultWorkspace();
+            if (workspace) {
+                await this._openWorkspace(workspace);
+            }
+        } catch (err) {
+            this._toast('Default Workspace Not Opened', err?.body?.message || err.message, 'warning');
+        }
+    }
+
+    /**
+     * Replaces the live session with a saved workspace: restores the catalog
+     * filters and replay settings, unsubscribes live channels the workspace
+     * does not list, subscribes to the rest and applies their live filters.
+     * Filters saved in the browser are not touched. Imported (offline) tabs
+     * are kept.
+     */
+    async _openWorkspace(workspace) {
+        let config;
+        try {
+            config = readWorkspace(workspace.config);
+        } catch (err) {
+            this._toast('Workspace Not Opened', `${workspace.name}: ${err.message}`, 'error');
+            return;
+        }
+
+        this.searchTerm   = config.searchTerm;
+        this.selectedType = config.selectedType;
+        const replaySettings = { ...this._replaySettings };
+        config.channels.forEach(c => { replaySettings[c.channel] = { ...c.replay }; });
+        this._replaySettings = replaySettings;
+        this._applyFilters();
+
+        const wanted = new Set(config.channels.map(c => c.channel));
+        Object.values(this._subscriptions)
+            .filter(sub => !sub.offline && !wanted.has(sub.channel))
+            .forEach(sub => this._unsubscribe(sub.channel));
+
+        // Set before subscribing: the workspace's filters replace the ones
+        // saved in the browser, which stay as they are
+        this._activeWorkspace = activeWorkspace(workspace, config);
+
+        const invalidFilters = [];
+        for (const c of config.channels) {
+            // Sequential: "resume" replay settings look up the last logged Replay ID
+            // eslint-disable-next-line no-await-in-loop
+            await this._subscribe(c.channel, c.apiName, c.eventType);
+            if (!this._subscriptions[c.channel]) continue;
+            if (c.bufferSize) {
+                this._setBufferSize(c.channel, c.bufferSize);
+            }
+            try {
+                this._setLiveFilter(c.channel, c.filter);
+            } catch (err) {
+                invalidFilters.push(c.channel);
+            }
+        }
+
+        if (config.activeTab && this._subscriptions[config.activeTab]) {
+            this.activeTab = config.activeTab;
+        }
+        this.showWorkspaces = false;
+
+        const skipped = invalidFilters.length ? ` Live filter not applied on: ${invalidFilters.join(', ')}` : '';
+        this._toast('Workspace Opened',
+            `${workspace.name}: ${config.channels.length} channel(s).${skipped}`,
+            invalidFilters.length ? 'warning' : 'success');
+    }
+
+    // ── Throughput metrics ────────────────────────────────────────────────────
+
+    _startMetricsTimer() {
+        if (this._metricsTimer) return;
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this._metricsTimer = setInterval(() => this._refreshThroughput(), METRICS_TICK_MS);
+    }
+
+    _stopMetricsTimer() {
+        if (this._metricsTimer) {
+            clearInterval(this._metricsTimer);
+            this._metricsTimer = null;
+        }
+    }
+
+    _refreshThroughput() {
+        const now = Date.now();
+        this._raiseAlerts(evaluateAbsence(this._alertRules, now));
+
+        // Keep ticking while a live subscription may still need Absence checks
+        const channels = Object.keys(this._metrics);
+        if (!channels.length) {
+            if (!Object.values(this._subscriptions).some(sub => !sub.offline)) {
+                this._stopMetricsTimer();
+            }
+            return;
+        }
+        const throughput = {};
+        channels.forEach(channel => {
+            throughput[channel] = summarize(this._metrics[channel], now);
+        });
+        this._throughput = throughput;
+    }
+
+    // ── Schemas ───────────────────────────────────────────────────────────────
+
+    /**
+     * Records the schema ID a live channel is sending. A different ID than the
+     * last one means the event definition changed mid-stream: the next
+     * displayed event carries a warning and a toast lists the field changes.
+     */
+    _trackSchema(channel, sub, schemaId) {
+        if (!schemaId || schemaId === sub.schemaId) return;
+        // A custom channel interleaves its members' schemas: no change warnings
+        const previous = isCustomChannel(sub.apiName) ? null : sub.schemaId || null;
+        this._patchSubscription(channel, { schemaId });
+        if (previous) {
+            this._pendingSchemaWarnings[channel] = `Schema changed from ${previous} to ${schemaId}`;
+        }
+        this._loadSchema(schemaId, channel, sub.apiName, previous);
+    }
+
+    async _loadSchema(schemaId, channel, apiName, previousSchemaId) {
+        if (!this._schemas[schemaId]) {
+            this._schemas = { ...this._schemas, [schemaId]: { status: 'loading' } };
+        }
+        try {
+            const version = await resolveSchema(schemaId, channel, apiName);
+            this._schemas = { ...this._schemas, [schemaId]: { status: 'ready', version } };
+            if (previousSchemaId) {
+                // Field changes are relative to the event's previous recorded version
+                const changes = version.previousSchemaId === previousSchemaId ? describeChanges(version) : '';
+                this._toast('Schema Changed',
+                    `${channel} now sends schema ${schemaId}${changes ? `: ${changes}` : ''}`, 'warning');
+            }
+            const panel = this.template.querySelector('c-schema-history');
+            if (panel) {
+                panel.refresh();
+            }
+        } catch (err) {
+            const error = err?.body?.message || 'Failed to resolve schema.';
+            this._schemas = { ...this._schemas, [schemaId]: { status: 'error', error } };
+            if (previousSchemaId) {
+                this._toast('Schema Changed', `${channel} now sends schema ${schemaId} (${error})`, 'warning');
+            }
+        }
+    }
+
+    // Schema section of a live event card
+    _schemaView(e, offline) {
+        const state = this._payloadState[e.id] || {};
+        const resolved = e.schemaId && !offline ? this._schemas[e.schemaId] : null;
+        const version = resolved && resolved.status === 'ready' ? resolved.version : null;
+        const expanded = !!state.schema;
+        let status = '';
+        if (resolved && resolved.status === 'loading') status = 'Resolving schema…';
+        else if (resolved && resolved.status === 'error') status = resolved.error;
+        return {
+            hasSchema             : !!resolved,
+            schemaExpanded        : expanded,
+            schemaExpandedStr     : String(expanded),
+            schemaToggleIconClass : expanded ? 'pem-toggle-icon pem-icon-down' : 'pem-toggle-icon pem-icon-right',
+            schemaSourceLabel     : version ? `${version.fields.length} fields · ${version.source}` : '',
+            schemaStatus          : status,
+            schemaRows            : expanded && version
+                ? fieldRows(version, e.payloadObject)
+                    .map(r => ({ ...r, rowClass: r.unknown ? 'pem-schema-unknown' : '' }))
+                : []
+        };
+    }
+
+    // Decoded CDC changes section of a live event card
+    _changesView(e) {
+        const expanded = !!(this._payloadState[e.id] || {}).changes;
+        const resolved = e.isCdc && e.schemaId ? this._schemas[e.schemaId] : null;
+        return {
+            changesExpanded        : expanded,
+            changesExpandedStr     : String(expanded),
+            changesToggleIconClass : expanded ? 'pem-toggle-icon pem-icon-down' : 'pem-toggle-icon pem-icon-right',
+            changesSchemaFields    : resolved && resolved.status === 'ready'
+                ? schemaFieldNames(resolved.version) : null
+        };
+    }
+
+    // ── Live buffer ───────────────────────────────────────────────────────────
+
+    _resume(channel) {
+        const sub = this._subscriptions[channel];
+        if (!sub || !sub.paused) return;
+        const limit = sub.bufferSize || DEFAULT_BUFFER_SIZE;
+        const merged = [...(this._pausedEvents[channel] || []), ...(this._liveEvents[channel] || [])].slice(0, limit);
+        delete this._pausedEvents[channel];
+        this._liveEvents = { ...this._liveEvents, [channel]: merged };
+        this._patchSubscription(channel, { paused: false, newCount: 0 });
+    }
+
+    _setBufferSize(channel, size) {
+        if (!BUFFER_SIZES.includes(size) || !this._subscriptions[channel]) return;
+        this._patchSubscription(channel, { bufferSize: size });
+        this._liveEvents = { ...this._liveEvents, [channel]: (this._liveEvents[channel] || []).slice(0, size) };
+        if (this._pausedEvents[channel]) {
+            this._pausedEvents[channel] = this._pausedEvents[channel].slice(0, size);
+        }
+    }
+
+    // A failed IndexedDB write (e.g. quota exceeded) turns capture off everywhere
+    _stopSessionCapture(err) {
+        const capturing = Object.values(this._subscriptions).filter(sub => sub.sessionCapture);
+        if (!capturing.length) return;
+        capturing.forEach(sub => this._patchSubscription(sub.channel, { sessionCapture: false }));
+        this._toast('Session Capture Stopped', err?.message || 'The browser refused to store more events', 'error');
+    }
+
+    async _exportSession(format) {
+        const sub = this.activeSubscription;
+        if (!sub) return;
+        try {
+            const records = await readCaptured(sub.channel);
+            if (!records.length) {
+                this._toast('Nothing to Export', 'Session capture holds no events for this tab', 'info');
+                return;
+            }
+            downloadFile(buildExport(format, records, { type: 'session' }, `${sub.channel}-session`));
+            this._toast('Exported', `${records.length} captured event(s) exported as ${EXPORT_FORMATS[format].label}`, 'success');
+        } catch (err) {
+            this._toast('Export Failed', err.message || 'Session capture could not be read', 'error');
+        }
+    }
+
+    // Records the event's delivery key; true when it was already seen
+    _isDuplicate(channel, cometEvent) {
+        const key = deliveryKey(channel, cometEvent);
+        if (!key) return false;
+        const seen = this._seenKeys[channel] || (this._seenKeys[channel] = new Set());
+        if (seen.has(key)) return true;
+        seen.add(key);
+        if (seen.size > DEDUP_WINDOW) {
+            seen.delete(seen.values().next().value);
+        }
+        return false;
+    }
+
+    // ── Alerts ────────────────────────────────────────────────────────────────
+
+    _raiseAlerts(alerts) {
+        if (!alerts.length) return;
+        alerts.slice(0, ALERT_TOAST_LIMIT).forEach(a => {
+            this._toast(`${a.severity} Alert: ${a.ruleName}`, `${a.channel} — ${a.message}`,
+                ALERT_TOAST_VARIANT[a.severity] || 'warning');
+        });
+        this._liveAlerts = [...[...alerts].reverse(), ...this._liveAlerts].slice(0, LIVE_ALERT_LIMIT);
+    }
+
+    // ── Batched log persistence ───────────────────────────────────────────────
+
+    _queueLog(input) {
+        this._writeQueue.push({ input, attempts: 0 });
+        this._updatePendingWrites();
+        if (this._writeQueue.length >= WRITE_BATCH_SIZE) {
+            this._flushWrites();
+        } else {
+            this._scheduleFlush(WRITE_FLUSH_DELAY_MS);
+        }
+    }
+
+    _scheduleFlush(delay) {
+        if (this._flushTimer) return;
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this._flushTimer = setTimeout(() => {
+            this._flushTimer = null;
+            this._flushWrites();
+        }, delay);
+    }
+
+    /**
+     * Sends up to WRITE_MAX_BATCH queued logs to createEventLogs. A failed call
+     * puts the batch back at the head of the queue and retries with backoff;
+     * entries that exhaust WRITE_MAX_RETRIES are dropped and reported.
+     */
+    async _flushWrites() {
+        if (this._flushTimer) {
+            clearTimeout(this._flushTimer);
+            this._flushTimer = null;
+        }
+        if (this._writesInFlight || this._writeQueue.length === 0) return;
+
+        const batch = this._writeQueue.splice(0, WRITE_MAX_BATCH);
+        this._writesInFlight = batch.length;
+        this._updatePendingWrites();
+
+        let retryDelay = null;
+        try {
+            const results = await createEventLogs({ logs: batch.map(w => w.input) });
+            this._applyWriteResults(results);
+        } catch (err) {
+            console.error('[PlatformEventMonitor] batch persist error:', err);
+            const retry = batch.filter(w => ++w.attempts <= WRITE_MAX_RETRIES);
+            const dropped = batch.length - retry.length;
+            this._writeQueue = [...retry, ...this._writeQueue];
+            if (dropped) {
+                this._toast('Log Write Failed',
+                    `${dropped} event(s) could not be logged: ${err?.body?.message || 'unknown error'}`, 'error');
+            }
+            if (retry.length) {
+                retryDelay = WRITE_RETRY_DELAY_MS * Math.pow(2, retry[0].attempts - 1);
+            }
+        } finally {
+            this._writesInFlight = 0;
+            this._updatePendingWrites();
+        }
+
+        if (retryDelay != null) {
+            this._scheduleFlush(retryDelay);
+        } else if (this._writeQueue.length >= WRITE_BATCH_SIZE) {
+            this._flushWrites();
+        } else if (this._writeQueue.length) {
+            this._scheduleFlush(WRITE_FLUSH_DELAY_MS);
+        }
+    }
+
+    _applyWriteResults(results) {
+        const logIds = new Map();
+        const statuses = new Map();
+        let failed = 0;
+        results.forEach(r => {
+            if (r.success && r.logId) {
+                logIds.set(r.clientId, r.logId);
+                statuses.set(r.clientId, r.status || 'Received');
+            } else if (!r.success) {
+                failed++;
+                console.warn('[PlatformEventMonitor] log not saved:', r.clientId, r.error);
+            }
+        });
+        if (failed) {
+            this._toast('Log Write Failed', `${failed} event(s) could not be logged`, 'warning');
+        }
+        if (logIds.size === 0) return;
+
+        // Newly logged events may have raised server-side alerts
+        const feed = this.template.querySelector('c-alert-feed');
+        if (feed) {
+            feed.refresh();
+        }
+
+        // Patch the log record IDs and statuses onto the in-memory events, paused
+        // ones included. An event logged earlier shows the status it was triaged to.
+        const patch = e => (logIds.has(e.id)
+            ? { ...e, logRecordId: logIds.get(e.id), status: statuses.get(e.id) }
+            : e);
+        const updated = {};
+        Object.keys(this._liveEvents).forEach(channel => {
+            updated[channel] = this._liveEvents[channel].map(patch);
+        });
+        this._liveEvents = updated;
+        Object.keys(this._pausedEvents).forEach(channel => {
+            this._pausedEvents[channel] = this._pausedEvents[channel].map(patch);
+        });
+    }
+
+    // ── Error counts ──────────────────────────────────────────────────────────
+
+    _loadErrorCounts() {
+        getErrorCounts()
+            .then(counts => {
+                this._errorCounts = counts || {};
+                this._allEvents = this._allEvents.map(e => ({ ...e, ...this._errorView(e.channel) }));
+                this._applyFilters();
+            })
+            .catch(err => console.warn('[PlatformEventMonitor] error counts unavailable:', err?.body?.message || err));
+    }
+
+    _errorView(channel) {
+        const n = this._errorCounts[channel] || 0;
+        return {
+            errorCount      : n,
+            errorCountLabel : `${n} error${n === 1 ? '' : 's'}`,
+            errorCountTitle : `${n} unresolved Error log${n === 1 ? '' : 's'} — open them in the Log Explorer`
+        };
+    }
+
+    _updatePendingWrites() {
+        this.pendingWriteCount = this._writeQueue.length + this._writesInFlight;
+    }
+
+    _buildLogInput(eventId, message, channel, sub, payload, schema, cometEvent) {
         const isArray   = Array.isArray;
         const cdcHeader = payload.ChangeEventHeader || null;
 
-        return createEventLog({
+        return {
+            clientId      : eventId,
             eventApiName  : sub.apiName,
             eventType     : sub.eventType,
             channel       : channel,
             payload       : JSON.stringify(payload),
             headerData    : JSON.stringify(message),
             replayId      : String(cometEvent.replayId || ''),
+            eventUuid     : cometEvent.EventUuid || null,
             publishedById : payload.CreatedById || null,
             publishedDate : payload.CreatedDate  || null,
             schemaId      : schema || null,
             entityName    : cdcHeader ? cdcHeader.entityName : null,
+            recordIds     : cdcHeader && isArray(cdcHeader.recordIds)
+                ? cdcHeader.recordIds.join(',') : null,
             changeType    : cdcHeader ? cdcHeader.changeType : null,
             changedFields : cdcHeader && isArray(cdcHeader.changedFields)
                 ? cdcHeader.changedFields.join(',') : null,
+            nulledFields  : cdcHeader && isArray(cdcHeader.nulledFields)
+                ? cdcHeader.nulledFields.join(',') : null,
+            diffFields    : cdcHeader && isArray(cdcHeader.diffFields)
+                ? cdcHeader.diffFields.join(',') : null,
             commitTimestamp : cdcHeader ? String(cdcHeader.commitTimestamp || '') : null
-        });
+        };
     }
 
     _toast(title, message, variant) {
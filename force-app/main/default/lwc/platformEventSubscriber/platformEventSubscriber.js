@@ -6,18 +6,33 @@ import {
     isEmpEnabled
 } from 'lightning/empApi';
 
+// Reconnect backoff: 1s, 2s, 4s … capped at 30s, giving up after 8 attempts
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS  = 30000;
+const RECONNECT_MAX_ATTEMPTS  = 8;
+
 /**
  * platformEventSubscriber
  *
  * Headless LWC that wraps the lightning/empApi to manage one subscription.
  * Parent components control it via @api methods and listen for custom events.
  *
+ * When the CometD session drops, the subscriber re-subscribes with
+ * exponential backoff from the last Replay ID it received, so no retained
+ * events are skipped while it was offline. A Replay ID that is not above
+ * the highest one received so far (a redelivery or a late event) is
+ * reported as 'replayorder' before the message itself.
+ *
  * Custom events fired:
- *   - 'eventreceived'  : { detail: { message, channel } }
- *   - 'subscribed'     : { detail: { channel } }
- *   - 'unsubscribed'   : { detail: { channel } }
- *   - 'subscribeerror' : { detail: { channel, error } }
- *   - 'statuschange'   : { detail: { empEnabled: Boolean } }
+ *   - 'eventreceived'          : { detail: { message, channel } }
+ *   - 'subscribed'             : { detail: { channel } }
+ *   - 'unsubscribed'           : { detail: { channel } }
+ *   - 'subscribeerror'         : { detail: { channel, error } }
+ *   - 'statuschange'           : { detail: { empEnabled: Boolean } }
+ *   - 'connectionstatechange'  : { detail: { channel, state, attempt } }
+ *                                state = 'connected' | 'reconnecting' | 'failed'
+ *   - 'replaygap'              : { detail: { channel, lastReplayId, replayId, missed } }
+ *   - 'replayorder'            : { detail: { channel, lastReplayId, replayId } }
  */
 export default class PlatformEventSubscriber extends LightningElement {
 
@@ -27,17 +42,31 @@ export default class PlatformEventSubscriber extends LightningElement {
     @track _subscription = null;
     @track _isSubscribed = false;
 
+    _connectionState   = null;
+    _lastReplayId      = null;
+    _reconnectAttempts = 0;
+    _reconnectTimer    = null;
+    _isConnected       = false;
+
     // ── Lifecycle ─────────────────────────────────────────────────────────────
 
     connectedCallback() {
+        this._isConnected = true;
+
         // Register a global error handler for EMP API
         onError(error => {
+            if (!this._isConnected || !this._isRelevantError(error)) {
+                return;
+            }
             console.error('[PlatformEventSubscriber] EMP API error:', JSON.stringify(error));
             this.dispatchEvent(new CustomEvent('subscribeerror', {
                 detail: { channel: this.channel, error: JSON.stringify(error) },
                 bubbles: true,
                 composed: true
             }));
+            if (this._isSubscribed || this._connectionState === 'reconnecting') {
+                this._scheduleReconnect();
+            }
         });
 
         // Check EMP API availability
@@ -53,6 +82,8 @@ export default class PlatformEventSubscriber extends LightningElement {
     }
 
     disconnectedCallback() {
+        this._isConnected = false;
+        this._clearReconnectTimer();
         if (this._subscription) {
             unsubscribe(this._subscription).catch(() => {});
         }
@@ -65,6 +96,16 @@ export default class PlatformEventSubscriber extends LightningElement {
         return this._isSubscribed;
     }
 
+    @api
+    get connectionState() {
+        return this._connectionState;
+    }
+
+    @api
+    get lastReplayId() {
+        return this._lastReplayId;
+    }
+
     @api
     async subscribeToChannel() {
         if (!this.channel) {
@@ -83,6 +124,7 @@ export default class PlatformEventSubscriber extends LightningElement {
                 (message) => this._handleMessage(message)
             );
             this._isSubscribed = true;
+            this._setConnectionState('connected');
             this.dispatchEvent(new CustomEvent('subscribed', {
                 detail: { channel: this.channel },
                 bubbles: true,
@@ -100,11 +142,28 @@ export default class PlatformEventSubscriber extends LightningElement {
 
     @api
     async unsubscribeFromChannel() {
+        this._clearReconnectTimer();
+        if (this._connectionState === 'reconnecting' || this._connectionState === 'failed') {
+            // The session is already broken — drop what is left of it locally
+            if (this._subscription) {
+                unsubscribe(this._subscription).catch(() => {});
+                this._subscription = null;
+            }
+            this._isSubscribed = false;
+            this._connectionState = null;
+            this.dispatchEvent(new CustomEvent('unsubscribed', {
+                detail: { channel: this.channel },
+                bubbles: true,
+                composed: true
+            }));
+            return;
+        }
         if (!this._subscription) return;
         try {
             await unsubscribe(this._subscription);
             this._subscription = null;
             this._isSubscribed = false;
+            this._connectionState = null;
             this.dispatchEvent(new CustomEvent('unsubscribed', {
                 detail: { channel: this.channel },
                 bubbles: true,
@@ -115,9 +174,132 @@ export default class PlatformEventSubscriber extends LightningElement {
         }
     }
 
+    /**
+     * Drops the current subscription and immediately re-subscribes from the
+     * last Replay ID seen. Also used to retry after the backoff gave up.
+     */
+    @api
+    async reconnect() {
+        this._clearReconnectTimer();
+        this._reconnectAttempts = 0;
+        await this._resubscribe();
+    }
+
     // ── Private ───────────────────────────────────────────────────────────────
 
+    _isRelevantError(error) {
+        if (!error) return false;
+        // Subscribe/unsubscribe failures name the channel they belong to;
+        // handshake and connect failures affect every subscription.
+        const target = error.subscription || error.channel || '';
+        if (target === '/meta/subscribe' || target === '/meta/unsubscribe') {
+            return false;
+        }
+        return !target || target.startsWith('/meta/') || target === this.channel;
+    }
+
+    _scheduleReconnect() {
+        if (this._reconnectTimer) return;
+        if (this._reconnectAttempts >= RECONNECT_MAX_ATTEMPTS) {
+            this._isSubscribed = false;
+            this._setConnectionState('failed');
+            return;
+        }
+
+        const delay = Math.min(
+            RECONNECT_BASE_DELAY_MS * Math.pow(2, this._reconnectAttempts),
+            RECONNECT_MAX_DELAY_MS
+        );
+        this._reconnectAttempts += 1;
+        this._isSubscribed = false;
+        this._setConnectionState('reconnecting');
+
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this._reconnectTimer = setTimeout(() => {
+            this._reconnectTimer = null;
+            this._resubscribe();
+        }, delay);
+    }
+
+    async _resubscribe() {
+        if (!this._isConnected || !this.channel) return;
+
+        if (this._subscription) {
+            const stale = this._subscription;
+            this._subscription = null;
+            await unsubscribe(stale).catch(() => {});
+        }
+
+        const replayId = this._lastReplayId != null
+            ? this._lastReplayId
+            : (this.replayId != null ? Number(this.replayId) : -1);
+
+        try {
+            this._subscription = await subscribe(
+                this.channel,
+                replayId,
+                (message) => this._handleMessage(message)
+            );
+            this._isSubscribed = true;
+            this._reconnectAttempts = 0;
+            this._setConnectionState('connected');
+        } catch (err) {
+            console.error('[PlatformEventSubscriber] Reconnect error:', err);
+            this._scheduleReconnect();
+        }
+    }
+
+    _clearReconnectTimer() {
+        if (this._reconnectTimer) {
+            clearTimeout(this._reconnectTimer);
+            this._reconnectTimer = null;
+        }
+    }
+
+    _setConnectionState(state) {
+        this._connectionState = state;
+        this.dispatchEvent(new CustomEvent('connectionstatechange', {
+            detail: { channel: this.channel, state, attempt: this._reconnectAttempts },
+            bubbles: true,
+            composed: true
+        }));
+    }
+
+    _trackReplayId(message) {
+        const event = (message && message.data && message.data.event) || {};
+        const replayId = Number(event.replayId);
+        if (!Number.isFinite(replayId)) return;
+
+        if (this._lastReplayId != null && replayId > this._lastReplayId + 1) {
+            this.dispatchEvent(new CustomEvent('replaygap', {
+                detail: {
+                    channel      : this.channel,
+                    lastReplayId : this._lastReplayId,
+                    replayId,
+                    missed       : replayId - this._lastReplayId - 1
+                },
+                bubbles: true,
+                composed: true
+            }));
+        }
+        if (this._lastReplayId != null && replayId <= this._lastReplayId) {
+            this.dispatchEvent(new CustomEvent('replayorder', {
+                detail: {
+                    channel      : this.channel,
+                    lastReplayId : this._lastReplayId,
+                    replayId
+                },
+                bubbles: true,
+                composed: true
+            }));
+        }
+        if (this._lastReplayId == null || replayId > this._lastReplayId) {
+            this._lastReplayId = replayId;
+        }
+    }
+
     _handleMessage(message) {
+        this._trackReplayId(message);
         this.dispatchEvent(new CustomEvent('eventreceived', {
             detail: { message, channel: this.channel },
             bubbles: true,
@@ -0,0 +1,242 @@
+import { LightningElement, api, track, wire } from 'lwc';
+import { NavigationMixin, CurrentPageReference } from 'lightning/navigation';
+import getRecordTimeline from '@salesforce/apex/PlatformEventTimeline.getRecordTimeline';
+import { parseChangeEvent, replayChanges, GAP_OVERFLOW } from 'c/cdcPayload';
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Helpers
+// ─────────────────────────────────────────────────────────────────────────────
+
+const CHANGE_BADGE = {
+    CREATE   : 'rt-badge rt-badge-create',
+    UPDATE   : 'rt-badge rt-badge-update',
+    DELETE   : 'rt-badge rt-badge-delete',
+    UNDELETE : 'rt-badge rt-badge-undelete'
+};
+
+function formatTimestamp(millis, fallback) {
+    const value = millis || fallback;
+    if (!value) return '';
+    try {
+        return new Date(value).toLocaleString();
+    } catch (_) { return String(value); }
+}
+
+function displayValue(value) {
+    if (value === undefined) return '—';
+    if (value === null) return 'null';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * recordTimeline
+ *
+ * Rebuilds one record's history from logged Change Data Capture events:
+ * every CREATE / UPDATE / DELETE / UNDELETE in commit order, the fields each
+ * one changed, and the reconstructed field state after any step.
+ *
+ * GAP_* events (and GAP_OVERFLOW, logged for the whole entity) carry no
+ * field values, so the state after them is shown as stale until later
+ * events set each field again.
+ *
+ * The record comes from the record page (recordId), the c__recordId page
+ * state, or the Id typed into the search box.
+ */
+export default class RecordTimeline extends NavigationMixin(LightningElement) {
+
+    // ── Public API ────────────────────────────────────────────────────────────
+
+    @api
+    get recordId() { return this._recordId; }
+    set recordId(value) {
+        this._recordId = value;
+        this.inputId = value || '';
+        if (value) this._load();
+    }
+
+    // ── State ─────────────────────────────────────────────────────────────────
+
+    @track inputId     = '';
+    @track entityName  = '';
+    @track truncated   = false;
+    @track isLoading   = false;
+    @track _steps      = [];
+    @track _logs       = [];
+    @track selectedKey = null;
+    @track _error      = null;
+
+    _recordId;
+
+    // ── Wire ──────────────────────────────────────────────────────────────────
+
+    @wire(CurrentPageReference)
+    wiredPageRef(pageRef) {
+        const recordId = pageRef?.state?.c__recordId;
+        if (recordId && recordId !== this._recordId) {
+            this.recordId = recordId;
+        }
+    }
+
+    // ── Computed ──────────────────────────────────────────────────────────────
+
+    get hasError()      { return !!this._error; }
+    get errorMessage()  { return this._error; }
+    get hasSteps()      { return this._steps.length > 0; }
+    get loaded()        { return !!this._recordId && !this.isLoading && !this._error; }
+    get noSteps()       { return this.loaded && !this.hasSteps; }
+    get stepCountLabel() {
+        const n = this._steps.length;
+        return `${n} change event${n === 1 ? '' : 's'}`;
+    }
+
+    get steps() {
+        return this._steps.map((step, idx) => {
+            const log = this._logs[idx];
+            return {
+                key         : step.key,
+                logId       : log.Id,
+                name        : log.Name,
+                changeType  : step.changeType,
+                badgeClass  : CHANGE_BADGE[step.changeType] || 'rt-badge rt-badge-gap',
+                when        : formatTimestamp(log.Commit_Timestamp__c, log.CreatedDate),
+                summary     : this._stepSummary(step),
+                isGap       : step.isGap,
+                rowClass    : step.key === this.selectedKey ? 'rt-step rt-step-selected' : 'rt-step'
+            };
+        });
+    }
+
+    get selectedStep() {
+        return this._steps.find(s => s.key === this.selectedKey) || null;
+    }
+
+    get hasSelection() { return !!this.selectedStep; }
+
+    get selectedChanges() {
+        const step = this.selectedStep;
+        if (!step) return [];
+        return step.changes.map(c => ({
+            key    : c.field,
+            field  : c.field,
+            before : displayValue(c.before),
+            after  : c.isDiff ? `(diff) ${displayValue(c.after)}` : displayValue(c.after),
+            rowClass : c.nulled ? 'rt-change rt-change-nulled' : 'rt-change'
+        }));
+    }
+
+    get hasSelectedChanges() { return this.selectedChanges.length > 0; }
+
+    get selectedState() {
+        const step = this.selectedStep;
+        if (!step) return [];
+        const changed = new Set(step.changes.map(c => c.field));
+        return Object.keys(step.state).sort().map(field => {
+            const entry = step.state[field];
+            const flags = [];
+            if (entry.stale)  flags.push('may be outdated');
+            if (entry.isDiff) flags.push('diff only');
+            return {
+                key      : field,
+                field,
+                value    : displayValue(entry.value),
+                flags    : flags.join(', '),
+                rowClass : [
+                    'rt-state-row',
+                    changed.has(field) ? 'rt-state-changed' : '',
+                    entry.stale ? 'rt-state-stale' : ''
+                ].join(' ').trim()
+            };
+        });
+    }
+
+    get selectedWarning() {
+        const step = this.selectedStep;
+        if (!step) return null;
+        if (step.changeType === GAP_OVERFLOW) {
+            return 'Too many changes in one transaction: Salesforce sent an overflow notice instead of change events. ' +
+                'Any field of any record of this entity may have changed.';
+        }
+        if (step.isGap) {
+            return 'Gap event: the record changed but Salesforce could not send the field values. ' +
+                'Query the record to see its current values.';
+        }
+        if (step.deleted) {
+            return 'The record is deleted at this point; values shown are the last known ones.';
+        }
+        return null;
+    }
+
+    // ── Handlers ──────────────────────────────────────────────────────────────
+
+    handleInputChange(event) {
+        this.inputId = (event.target.value || '').trim();
+    }
+
+    handleInputKeyUp(event) {
+        if (event.key === 'Enter') {
+            this.handleLoad();
+        }
+    }
+
+    handleLoad() {
+        if (!this.inputId) return;
+        this._recordId = this.inputId;
+        this._load();
+    }
+
+    handleSelectStep(event) {
+        this.selectedKey = event.currentTarget.dataset.key;
+    }
+
+    handleOpenLog(event) {
+        event.stopPropagation();
+        this[NavigationMixin.Navigate]({
+            type: 'standard__recordPage',
+            attributes: { recordId: event.currentTarget.dataset.logId, actionName: 'view' }
+        });
+    }
+
+    // ── Private helpers ───────────────────────────────────────────────────────
+
+    async _load() {
+        const recordId = this._recordId;
+        this.isLoading = true;
+        this._error = null;
+        try {
+            const timeline = await getRecordTimeline({ recordId });
+            if (recordId !== this._recordId) return;
+
+            // Events of one transaction share a commit timestamp; the header's
+            // sequenceNumber orders them
+            const items = timeline.logs.map(log => ({
+                key        : log.Id,
+                log,
+                changeType : log.Change_Type__c,
+                event      : parseChangeEvent(log.Payload__c)
+            }));
+            items.sort((a, b) =>
+                ((a.log.Commit_Timestamp__c || 0) - (b.log.Commit_Timestamp__c || 0)) ||
+                ((a.event.header.sequenceNumber || 0) - (b.event.header.sequenceNumber || 0)));
+
+            this.entityName = timeline.entityName;
+            this.truncated = timeline.truncated;
+            this._logs = items.map(i => i.log);
+            this._steps = replayChanges(items);
+            this.selectedKey = this._steps.length ? this._steps[this._steps.length - 1].key : null;
+        } catch (err) {
+            this._error = err?.body?.message || 'Failed to load the record timeline.';
+            this._steps = [];
+            this._logs = [];
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    _stepSummary(step) {
+        if (step.isGap) return 'Field values not available';
+        if (step.changeType === 'DELETE') return 'Record deleted';
+        const n = step.changes.length;
+        const fields = step.changes.slice(0, 3).map(c => c.field).join(', ');
+        return n > 3 ? `${fields} +${n - 3} more` : (fields || 'No field changes');
+    }
+}
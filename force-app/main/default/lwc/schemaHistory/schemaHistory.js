@@ -0,0 +1,136 @@
+import { LightningElement, api, track } from 'lwc';
+import getSchemaHistory from '@salesforce/apex/PlatformEventSchemas.getSchemaHistory';
+import { typeLabel } from 'c/eventSchemas';
+
+/**
+ * schemaHistory
+ *
+ * Schema panel of the Platform Event Monitor: the recorded schema versions
+ * of the active tab's event (Event_Schema_Version__c), newest first, with
+ * the fields added, removed and retyped since the version before. A version
+ * expands to its full typed field list.
+ *
+ * Custom events fired:
+ *   - 'close' : {}
+ */
+export default class SchemaHistory extends LightningElement {
+
+    // ── Public API ────────────────────────────────────────────────────────────
+
+    @api
+    get eventApiName() {
+        return this._eventApiName;
+    }
+
+    set eventApiName(value) {
+        const changed = value !== this._eventApiName;
+        this._eventApiName = value;
+        if (changed && this._connected) {
+            this._loadHistory();
+        }
+    }
+
+    // Schema ID the active tab last received, highlighted in the list
+    @api currentSchemaId;
+
+    // Reloads the history, e.g. after a new schema ID was recorded
+    @api
+    refresh() {
+        this._loadHistory();
+    }
+
+    // ── State ─────────────────────────────────────────────────────────────────
+
+    @track _versions   = [];
+    @track _expandedId = null;
+    @track isLoading   = false;
+    @track _error      = null;
+
+    _eventApiName = null;
+    _connected = false;
+    _requestSeq = 0;
+
+    // ── Lifecycle ─────────────────────────────────────────────────────────────
+
+    connectedCallback() {
+        this._connected = true;
+        this._loadHistory();
+    }
+
+    disconnectedCallback() {
+        this._connected = false;
+    }
+
+    // ── Computed ──────────────────────────────────────────────────────────────
+
+    get versions() {
+        return this._versions.map(v => {
+            const expanded = v.schemaId === this._expandedId;
+            return {
+                key          : v.schemaId,
+                schemaId     : v.schemaId,
+                isCurrent    : v.schemaId === this.currentSchemaId,
+                rowClass     : v.schemaId === this.currentSchemaId ? 'sh-version sh-version-current' : 'sh-version',
+                firstSeen    : v.firstSeen ? new Date(v.firstSeen).toLocaleString() : '',
+                source       : v.source,
+                fieldCount   : v.fields.length,
+                isFirst      : !v.previousSchemaId,
+                hasChanges   : v.hasChanges,
+                added        : v.added.map(f => ({ key: f.name, name: f.name, type: typeLabel(f) })),
+                removed      : v.removed.map(f => ({ key: f.name, name: f.name, type: typeLabel(f) })),
+                retyped      : v.retyped.map(c => ({ key: c.name, ...c })),
+                expanded,
+                toggleIcon   : expanded ? 'utility:chevrondown' : 'utility:chevronright',
+                fields       : expanded
+                    ? v.fields.map(f => ({ key: f.name, name: f.name, type: typeLabel(f) }))
+                    : []
+            };
+        });
+    }
+
+    get hasVersions()  { return this._versions.length > 0; }
+    get showEmpty()    { return !this.hasVersions && !this.isLoading && !this._error; }
+    get hasError()     { return !!this._error; }
+    get errorMessage() { return this._error; }
+
+    // ── Handlers ──────────────────────────────────────────────────────────────
+
+    handleToggleVersion(event) {
+        const id = event.currentTarget.dataset.schemaId;
+        this._expandedId = this._expandedId === id ? null : id;
+    }
+
+    handleRefresh() {
+        this._loadHistory();
+    }
+
+    handleClose() {
+        this.dispatchEvent(new CustomEvent('close'));
+    }
+
+    // ── Private helpers ───────────────────────────────────────────────────────
+
+    async _loadHistory() {
+        this._versions = [];
+        this._error = null;
+        if (!this._eventApiName) return;
+
+        // Only the latest event may update the list
+        const seq = ++this._requestSeq;
+        this.isLoading = true;
+        try {
+            const result = await getSchemaHistory({ eventApiName: this._eventApiName });
+            if (seq === this._requestSeq) {
+                this._versions = result || [];
+            }
+        } catch (err) {
+            if (seq === this._requestSeq) {
+                this._error = err?.body?.message || 'Failed to load schema history.';
+            }
+        } finally {
+            if (seq === this._requestSeq) {
+                this.isLoading = false;
+            }
+        }
+    }
+}
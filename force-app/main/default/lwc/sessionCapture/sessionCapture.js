@@ -0,0 +1,178 @@
+/**
+ * sessionCapture
+ *
+ * Service module (no template) that keeps received events in the browser's
+ * IndexedDB for the current monitor session, beyond the live buffer and
+ * without writing them to Salesforce.
+ *
+ * Records are the normalized c/eventExport record:
+ *   { channel, apiName, eventType, receivedAt, replayId, logId, envelope }
+ * stored in arrival order. captureEvent() queues a record and writes in
+ * batches; readCaptured() returns a channel's records oldest first, ready
+ * for buildExport().
+ *
+ * Each session opens its own database and closeSession() deletes it. A
+ * session that ended without closing (a closed browser tab) is deleted by
+ * the next openSession(); databases another open monitor still uses are
+ * only deleted once it closes.
+ */
+
+const DB_PREFIX  = 'platform-event-monitor-session-';
+const DB_VERSION = 1;
+const STORE      = 'events';
+
+// Queued records are written once WRITE_BATCH_SIZE are waiting or
+// WRITE_DELAY_MS after the first
+const WRITE_BATCH_SIZE = 200;
+const WRITE_DELAY_MS   = 500;
+
+let _db = null;
+let _dbName = null;
+let _opening = null;
+let _queue = [];
+let _flushTimer = null;
+let _onError = null;
+
+function request(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Session capture write aborted'));
+    });
+}
+
+function removeStaleSessions() {
+    if (typeof indexedDB.databases !== 'function') return;
+    indexedDB.databases()
+        .then(list => list
+            .filter(d => d.name && d.name.startsWith(DB_PREFIX) && d.name !== _dbName)
+            .forEach(d => indexedDB.deleteDatabase(d.name)))
+        .catch(() => { /* best effort */ });
+}
+
+function reportError(err) {
+    if (_onError) _onError(err);
+}
+
+function channelIndex(mode) {
+    return _db.transaction(STORE, mode).objectStore(STORE).index('channel');
+}
+
+async function openDatabase() {
+    if (!isSessionCaptureSupported()) {
+        throw new Error('This browser does not support IndexedDB');
+    }
+    _dbName = `${DB_PREFIX}${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    removeStaleSessions();
+
+    const req = indexedDB.open(_dbName, DB_VERSION);
+    req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore(STORE, { keyPath: 'seq', autoIncrement: true });
+        store.createIndex('channel', 'channel');
+    };
+    _db = await request(req);
+    // Keep the connection when another session asks to delete stale databases
+    _db.onversionchange = () => {};
+}
+
+export function isSessionCaptureSupported() {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+}
+
+/**
+ * Opens this session's database. Resolves immediately when already open.
+ * onError receives the error of a failed background write.
+ */
+export function openSession(onError) {
+    _onError = onError || null;
+    if (_db) return Promise.resolve();
+    if (!_opening) {
+        _opening = openDatabase().finally(() => { _opening = null; });
+    }
+    return _opening;
+}
+
+/**
+ * Queues one record; it is written with the next batch.
+ */
+export function captureEvent(record) {
+    if (!_db) return;
+    _queue.push(record);
+    if (_queue.length >= WRITE_BATCH_SIZE) {
+        flushCapture().catch(reportError);
+    } else if (!_flushTimer) {
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        _flushTimer = setTimeout(() => flushCapture().catch(reportError), WRITE_DELAY_MS);
+    }
+}
+
+/**
+ * Writes every queued record. Rejects when the browser refuses the write,
+ * e.g. when the storage quota is exceeded; the batch is then lost.
+ */
+export async function flushCapture() {
+    if (_flushTimer) {
+        clearTimeout(_flushTimer);
+        _flushTimer = null;
+    }
+    if (!_db || !_queue.length) return;
+    const batch = _queue;
+    _queue = [];
+    const tx = _db.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+    batch.forEach(record => store.add(record));
+    await transactionDone(tx);
+}
+
+/**
+ * A channel's captured records, oldest first.
+ */
+export async function readCaptured(channel) {
+    if (!_db) return [];
+    await flushCapture();
+    const rows = await request(channelIndex('readonly').getAll(IDBKeyRange.only(channel)));
+    rows.forEach(row => { delete row.seq; });
+    return rows;
+}
+
+/**
+ * Deletes a channel's captured records.
+ */
+export async function clearCaptured(channel) {
+    if (!_db) return;
+    _queue = _queue.filter(r => r.channel !== channel);
+    const tx = _db.transaction(STORE, 'readwrite');
+    const req = tx.objectStore(STORE).index('channel').openKeyCursor(IDBKeyRange.only(channel));
+    req.onsuccess = () => {
+        const cursor = req.result;
+        if (cursor) {
+            tx.objectStore(STORE).delete(cursor.primaryKey);
+            cursor.continue();
+        }
+    };
+    await transactionDone(tx);
+}
+
+/**
+ * Closes and deletes this session's database.
+ */
+export function closeSession() {
+    if (_flushTimer) {
+        clearTimeout(_flushTimer);
+        _flushTimer = null;
+    }
+    _queue = [];
+    _onError = null;
+    if (!_db) return;
+    _db.close();
+    indexedDB.deleteDatabase(_dbName);
+    _db = null;
+    _dbName = null;
+}
@@ -0,0 +1,182 @@
+import { LightningElement, api, track } from 'lwc';
+import getLogMetrics from '@salesforce/apex/PlatformEventMetrics.getLogMetrics';
+
+/**
+ * throughputPanel
+ *
+ * Metrics panel of the Platform Event Monitor:
+ *   - one row per live subscription with its sparkline, current and peak
+ *     rates and the time since its last event (summaries computed by the
+ *     monitor through c/eventMetrics)
+ *   - the live CDC breakdown by entity and change type for the active tab
+ *   - logged history for the active tab from PlatformEventMetrics, over a
+ *     selectable period
+ *
+ * Custom events fired:
+ *   - 'close' : {}
+ */
+
+const HISTORY_CHART_WIDTH  = 240;
+const HISTORY_CHART_HEIGHT = 40;
+
+export default class ThroughputPanel extends LightningElement {
+
+    // ── Public API ────────────────────────────────────────────────────────────
+
+    // Array<{ channel, apiName, ...summarize() }> for the live subscriptions
+    @api channels = [];
+
+    @api
+    get activeChannel() {
+        return this._activeChannel;
+    }
+
+    set activeChannel(value) {
+        const changed = value !== this._activeChannel;
+        this._activeChannel = value;
+        if (changed && this.showHistory) {
+            this._loadHistory();
+        }
+    }
+
+    // ── State ─────────────────────────────────────────────────────────────────
+
+    @track showHistory      = false;
+    @track historyHours     = '24';
+    @track _history         = null;
+    @track isLoadingHistory = false;
+    @track _historyError    = null;
+
+    _activeChannel = null;
+    _requestSeq = 0;
+
+    periodOptions = [
+        { label: 'Last hour',     value: '1' },
+        { label: 'Last 24 hours', value: '24' },
+        { label: 'Last 7 days',   value: '168' },
+        { label: 'Last 30 days',  value: '720' }
+    ];
+
+    // ── Computed ──────────────────────────────────────────────────────────────
+
+    get rows() {
+        return (this.channels || []).map(c => ({
+            ...c,
+            rowClass       : c.channel === this._activeChannel ? 'tp-row tp-row-active' : 'tp-row',
+            perSecondLabel : `${c.perSecond}/s`,
+            perMinuteLabel : `${c.perMinute}/min`,
+            peakLabel      : `${c.peakPerSecond}/s · ${c.peakPerMinute}/min`
+        }));
+    }
+
+    get hasRows() { return this.rows.length > 0; }
+
+    get activeRow() {
+        return (this.channels || []).find(c => c.channel === this._activeChannel) || null;
+    }
+
+    get activeCdc() {
+        const row = this.activeRow;
+        return row ? row.cdc : [];
+    }
+
+    get hasActiveCdc() { return this.activeCdc.length > 0; }
+
+    get historyToggleLabel() {
+        return this.showHistory ? 'Hide logged history' : 'Show logged history';
+    }
+
+    get hasHistoryError() { return !!this._historyError; }
+    get historyError()    { return this._historyError; }
+
+    get history() {
+        const h = this._history;
+        if (!h) return null;
+        const count = h.buckets.length || 1;
+        const max = Math.max(1, h.peakCount);
+        const slot = HISTORY_CHART_WIDTH / count;
+        const daily = h.bucketUnit === 'day';
+        return {
+            total        : h.total,
+            perMinute    : h.perMinute,
+            peakLabel    : h.peakCount
+                ? `${h.peakCount} in the ${daily ? 'day' : 'hour'} from ${this._formatBucket(h.peakStart, daily)}`
+                : 'none',
+            bucketLabel  : daily ? 'per day' : 'per hour',
+            viewBox      : `0 0 ${HISTORY_CHART_WIDTH} ${HISTORY_CHART_HEIGHT}`,
+            bars         : h.buckets.map((b, i) => {
+                const height = b.count ? Math.max(1, (b.count / max) * HISTORY_CHART_HEIGHT) : 0;
+                return {
+                    key    : b.startTime,
+                    x      : Math.round(i * slot * 100) / 100,
+                    y      : Math.round((HISTORY_CHART_HEIGHT - height) * 100) / 100,
+                    width  : Math.max(0.5, Math.round(slot * 0.8 * 100) / 100),
+                    height : Math.round(height * 100) / 100,
+                    title  : `${this._formatBucket(b.startTime, daily)}: ${b.count}`
+                };
+            }),
+            breakdown    : h.breakdown.map(r => ({ ...r, key: `${r.entityName}|${r.changeType}` })),
+            hasBreakdown : h.breakdown.length > 0
+        };
+    }
+
+    // ── Handlers ──────────────────────────────────────────────────────────────
+
+    handleToggleHistory() {
+        this.showHistory = !this.showHistory;
+        if (this.showHistory) {
+            this._loadHistory();
+        }
+    }
+
+    handlePeriodChange(event) {
+        this.historyHours = event.detail.value;
+        this._loadHistory();
+    }
+
+    handleRefreshHistory() {
+        this._loadHistory();
+    }
+
+    handleClose() {
+        this.dispatchEvent(new CustomEvent('close'));
+    }
+
+    // ── Private helpers ───────────────────────────────────────────────────────
+
+    async _loadHistory() {
+        this._history = null;
+        this._historyError = null;
+        if (!this._activeChannel) return;
+
+        // Only the latest channel / period may update the chart
+        const seq = ++this._requestSeq;
+        this.isLoadingHistory = true;
+        try {
+            const result = await getLogMetrics({
+                channel : this._activeChannel,
+                hours   : Number(this.historyHours)
+            });
+            if (seq === this._requestSeq) {
+                this._history = result;
+            }
+        } catch (err) {
+            if (seq === this._requestSeq) {
+                this._historyError = err?.body?.message || 'Failed to load logged history.';
+            }
+        } finally {
+            if (seq === this._requestSeq) {
+                this.isLoadingHistory = false;
+            }
+        }
+    }
+
+    _formatBucket(value, daily) {
+        if (!value) return '';
+        const d = new Date(value);
+        // Day buckets are GMT days
+        return daily
+            ? d.toLocaleDateString([], { timeZone: 'UTC' })
+            : d.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+    }
+}
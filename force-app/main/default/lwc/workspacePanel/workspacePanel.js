@@ -0,0 +1,197 @@
+import { LightningElement, api, track } from 'lwc';
+import getWorkspaces from '@salesforce/apex/PlatformEventWorkspaces.getWorkspaces';
+import saveWorkspace from '@salesforce/apex/PlatformEventWorkspaces.saveWorkspace';
+import deleteWorkspace from '@salesforce/apex/PlatformEventWorkspaces.deleteWorkspace';
+import setDefaultWorkspace from '@salesforce/apex/PlatformEventWorkspaces.setDefaultWorkspace';
+
+/**
+ * workspacePanel
+ *
+ * Workspaces panel of the Platform Event Monitor: the user's saved
+ * monitoring sessions and those shared by the team (Monitor_Workspace__c).
+ * Opening a workspace is left to the monitor, which re-subscribes to its
+ * channels; this panel saves the current session, shares it, sets the
+ * workspace opened on page load and deletes the user's own workspaces.
+ *
+ * Custom events fired:
+ *   - 'open'  : { workspace }   PlatformEventWorkspaces.Workspace
+ *   - 'saved' : { workspace }
+ *   - 'close' : {}
+ */
+export default class WorkspacePanel extends LightningElement {
+
+    // ── Public API ────────────────────────────────────────────────────────────
+
+    // Configuration of the current session (c/monitorWorkspace captureWorkspace)
+    @api currentConfig;
+
+    // Id of the workspace the monitor last opened or saved
+    @api
+    get activeWorkspaceId() { return this._activeWorkspaceId; }
+    set activeWorkspaceId(value) {
+        this._activeWorkspaceId = value;
+        const active = this._workspaces.find(w => w.id === value);
+        if (active && active.isOwner) {
+            this._prefillForm(active);
+        }
+    }
+
+    // ── State ─────────────────────────────────────────────────────────────────
+
+    @track _workspaces  = [];
+    @track isLoading    = false;
+    @track isSaving     = false;
+    @track _error       = null;
+    @track formName        = '';
+    @track formDescription = '';
+    @track formShared      = false;
+
+    _activeWorkspaceId = null;
+    _requestSeq = 0;
+
+    // ── Lifecycle ─────────────────────────────────────────────────────────────
+
+    connectedCallback() {
+        this._loadWorkspaces();
+    }
+
+    // ── Computed ──────────────────────────────────────────────────────────────
+
+    get rows() {
+        return this._workspaces.map(w => {
+            const channelCount = this._channelCount(w.config);
+            return {
+                ...w,
+                isActive     : w.id === this._activeWorkspaceId,
+                rowClass     : w.id === this._activeWorkspaceId ? 'wp-row wp-row-active' : 'wp-row',
+                summary      : `${channelCount} channel${channelCount === 1 ? '' : 's'} · ${w.isOwner ? 'yours' : `shared by ${w.ownerName}`}`,
+                updated      : w.lastModified ? new Date(w.lastModified).toLocaleString() : '',
+                defaultIcon  : w.isDefault ? 'utility:favorite' : 'utility:favorite_alt',
+                defaultTitle : w.isDefault ? 'Opens on page load — click to clear' : 'Open on page load'
+            };
+        });
+    }
+
+    get hasRows()      { return this._workspaces.length > 0; }
+    get showEmpty()    { return !this.hasRows && !this.isLoading && !this._error; }
+    get hasError()     { return !!this._error; }
+    get errorMessage() { return this._error; }
+
+    get currentChannelCount() {
+        return ((this.currentConfig || {}).channels || []).length;
+    }
+
+    get saveDisabled() {
+        return this.isSaving || !this.formName.trim() || this.currentChannelCount === 0;
+    }
+
+    get saveHint() {
+        return this.currentChannelCount === 0
+            ? 'Subscribe to at least one channel to save a workspace.'
+            : `Saves ${this.currentChannelCount} live channel(s) with their replay settings and filters. Saving under an existing name of yours overwrites it.`;
+    }
+
+    // ── Handlers ──────────────────────────────────────────────────────────────
+
+    handleOpen(event) {
+        const workspace = this._workspaces.find(w => w.id === event.currentTarget.dataset.id);
+        if (workspace) {
+            this.dispatchEvent(new CustomEvent('open', { detail: { workspace } }));
+        }
+    }
+
+    async handleToggleDefault(event) {
+        const workspace = this._workspaces.find(w => w.id === event.currentTarget.dataset.id);
+        if (!workspace) return;
+        try {
+            await setDefaultWorkspace({ workspaceId: workspace.isDefault ? null : workspace.id });
+            await this._loadWorkspaces();
+        } catch (err) {
+            this._error = err?.body?.message || 'Failed to set the default workspace.';
+        }
+    }
+
+    async handleDelete(event) {
+        const workspaceId = event.currentTarget.dataset.id;
+        try {
+            await deleteWorkspace({ workspaceId });
+            await this._loadWorkspaces();
+        } catch (err) {
+            this._error = err?.body?.message || 'Failed to delete workspace.';
+        }
+    }
+
+    handleNameChange(event)        { this.formName = event.target.value || ''; }
+    handleDescriptionChange(event) { this.formDescription = event.target.value || ''; }
+    handleSharedChange(event)      { this.formShared = event.target.checked; }
+
+    async handleSave() {
+        this.isSaving = true;
+        this._error = null;
+        try {
+            const workspace = await saveWorkspace({
+                workspaceId : null,
+                name        : this.formName,
+                description : this.formDescription,
+                config      : JSON.stringify(this.currentConfig),
+                shared      : this.formShared
+            });
+            this.dispatchEvent(new CustomEvent('saved', { detail: { workspace } }));
+            await this._loadWorkspaces();
+        } catch (err) {
+            this._error = err?.body?.message || 'Failed to save workspace.';
+        } finally {
+            this.isSaving = false;
+        }
+    }
+
+    handleRefresh() {
+        this._loadWorkspaces();
+    }
+
+    handleClose() {
+        this.dispatchEvent(new CustomEvent('close'));
+    }
+
+    // ── Private helpers ───────────────────────────────────────────────────────
+
+    async _loadWorkspaces() {
+        // Only the latest request may update the list
+        const seq = ++this._requestSeq;
+        this.isLoading = true;
+        this._error = null;
+        try {
+            const result = await getWorkspaces();
+            if (seq === this._requestSeq) {
+                this._workspaces = result || [];
+                const active = this._workspaces.find(w => w.id === this._activeWorkspaceId);
+                if (active && active.isOwner && !this.formName) {
+                    this._prefillForm(active);
+                }
+            }
+        } catch (err) {
+            if (seq === this._requestSeq) {
+                this._error = err?.body?.message || 'Failed to load workspaces.';
+            }
+        } finally {
+            if (seq === this._requestSeq) {
+                this.isLoading = false;
+            }
+        }
+    }
+
+    // Saving again under the active workspace's name updates it
+    _prefillForm(workspace) {
+        this.formName        = workspace.name;
+        this.formDescription = workspace.description || '';
+        this.formShared      = !!workspace.shared;
+    }
+
+    _channelCount(config) {
+        try {
+            return (JSON.parse(config).channels || []).length;
+        } catch (_) {
+            return 0;
+        }
+    }
+}